@@ -1,23 +1,89 @@
 // app.js (исправленная версия с управлением графиками)
 import { DataLoader } from './data-loader.js';
-import { GRUModel } from './gru.js';
+import { SequenceForecaster, DEFAULT_MODEL_CONFIG } from './gru.js';
+import { WalkForwardBacktester } from './walk-forward.js';
+import { compareWithBaselines } from './baselines.js';
+import { ResidualBootstrap } from './intervals.js';
+import { ModelRegistry } from './model-registry.js';
+import { HyperparameterSearch } from './hyperparameter-search.js';
+import { TrainingClient } from './training-client.js';
+import { describeTrainingSummary } from './training-schedule.js';
+import { RecursiveForecaster } from './recursive-forecast.js';
+import { StrategyBacktester } from './backtest.js';
+import { DATE_RANGE_PRESETS, resolvePreset } from './date-range.js';
+import { NotTrainedError, describeError, deserializeError } from './errors.js';
+import { REPORT_BACKGROUND, toCSV, forecastRows, buildReportHTML } from './report.js';
+import { ExperimentTracker, hashSeries, filterRuns } from './experiment-tracker.js';
+
+const ASSET_COLORS = ['#ffcc00', '#20c997', '#b19cd9', '#ff9f40', '#17a2b8', '#f8d7da'];
+const RUN_COLORS = ['#ff6b81', '#90ee90', ...ASSET_COLORS];
+
+// Графики, которые выгружаются в PNG и попадают в отчёт: canvas → подпись и имя файла
+const CHART_EXPORTS = {
+    historicalChart: { title: 'Price & moving averages', file: 'price-chart' },
+    predictionChart: { title: 'Volatility & returns', file: 'volatility-returns' },
+    trainingCurvesChart: { title: 'Training curves', file: 'training-curves' },
+    horizonMetricsChart: { title: 'Error by horizon day', file: 'horizon-error' },
+    walkForwardChart: { title: 'Walk-forward backtest', file: 'walk-forward' },
+    strategyChart: { title: 'Strategy backtest', file: 'strategy-backtest' },
+    runsLossChart: { title: 'Run comparison: loss curves', file: 'runs-loss' },
+    runsForecastChart: { title: 'Run comparison: forecasts', file: 'runs-forecast' }
+};
+
+// chartjs-plugin-zoom подключается отдельным скриптом; без него график просто не масштабируется
+if (window.ChartZoom) {
+    Chart.register(window.ChartZoom);
+}
 
 class StockPredictorApp {
     constructor() {
         this.dataLoader = new DataLoader();
-        this.model = new GRUModel();
+        this.model = new SequenceForecaster();
         this.charts = {
             combined: null,
             volatility: null,
             prediction: null,
-            returnsComparison: null
+            returnsComparison: null,
+            walkForward: null,
+            horizonMetrics: null,
+            trainingCurves: null,
+            strategy: null,
+            runsLoss: null,
+            runsForecast: null
         };
+        this.backtester = null;
+        this.registry = new ModelRegistry();
+        this.trainingClient = new TrainingClient();
+        this.searchWorker = null;
+        this.searchRows = [];
+        this.searchBest = null;
+        this.searchSort = { key: 'day1Rmse', ascending: true };
         this.isTraining = false;
         this.predictions = null;
+        this.predictionDates = null;
+        this.predictionIntervals = null;
         this.insights = null;
+        this.trainingCurves = null;
+        this.previousTrainingCurves = null;
+        this.activeRangePreset = 'Max';
+        this.rangeUpdateTimer = null;
+        // Период обучения изменился — выборки пересобираются перед следующим обучением
+        this.trainingDataStale = false;
+        // Последние ошибки для панели диагностики, новые сверху
+        this.diagnostics = [];
+        // Лидерборд и бэктест последней модели — для отчёта; сверяются с this.model перед выгрузкой
+        this.leaderboard = null;
+        this.strategyResults = null;
+        // Журнал прогонов; activeRun — прогон, обучивший текущую модель (к нему дописывается прогноз)
+        this.experiments = new ExperimentTracker();
+        this.runs = [];
+        this.selectedRunIds = new Set();
+        this.activeRun = null;
         
         this.initUI();
         this.setupEventListeners();
+        this.renderRegistry();
+        this.refreshRuns();
         this.autoLoadData();
     }
 
@@ -40,6 +106,116 @@ class StockPredictorApp {
         document.getElementById('viewDataBtn').addEventListener('click', () => this.displayInsights());
         document.getElementById('trainBtn').addEventListener('click', () => this.fastTrainModel());
         document.getElementById('predictBtn').addEventListener('click', () => this.makePredictions());
+        document.getElementById('clearDiagnosticsBtn').addEventListener('click', () => this.clearDiagnostics());
+        document.getElementById('trainPauseBtn').addEventListener('click', () => this.trainingClient.pause());
+        document.getElementById('trainResumeBtn').addEventListener('click', () => this.trainingClient.resume());
+        document.getElementById('trainCancelBtn').addEventListener('click', () => {
+            this.updateStatus('trainingStatus', '⏹ Cancelling after the current batch...', 'warning');
+            this.trainingClient.cancel();
+        });
+        document.getElementById('pasteDataBtn').addEventListener('click', () => this.loadFromClipboard());
+        document.getElementById('priceColumnSelect').addEventListener('change', (event) => {
+            const priceColumn = event.target.value;
+            this.loadFromSource(() => this.dataLoader.reparse({ priceColumn }));
+        });
+        document.getElementById('scalerSelect').addEventListener('change', () => this.reprepareData());
+        this.renderRangePresets();
+        ['rangeStartInput', 'rangeEndInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.activeRangePreset = null;
+                this.applyDateRange(
+                    document.getElementById('rangeStartInput').value,
+                    document.getElementById('rangeEndInput').value
+                );
+            });
+        });
+        document.getElementById('limitTrainingToggle').addEventListener('change', (event) => {
+            this.dataLoader.limitTrainingToRange = event.target.checked;
+            this.markTrainingRangeChanged();
+        });
+        ['volWindowSelect', 'volRegimeSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateVolatilitySettings());
+        });
+        ['riskFreeRateInput', 'periodsPerYearSelect', 'benchmarkSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateRiskSettings());
+        });
+        document.getElementById('walkForwardBtn').addEventListener('click', () => this.runWalkForward());
+        document.getElementById('strategyBtn').addEventListener('click', () => this.runStrategyBacktest());
+        document.getElementById('walkForwardCancelBtn').addEventListener('click', () => this.backtester?.cancel());
+        document.getElementById('exportCurvesCsvBtn').addEventListener('click', () => this.exportTrainingCurvesCsv());
+        document.getElementById('exportCurvesPngBtn').addEventListener('click', () => this.exportChartPng('trainingCurvesChart'));
+        document.querySelectorAll('.chart-png-btn').forEach(button => {
+            button.addEventListener('click', () => this.exportChartPng(button.dataset.canvas));
+        });
+        document.getElementById('exportForecastCsvBtn').addEventListener('click', () => this.exportForecast('csv'));
+        document.getElementById('exportForecastJsonBtn').addEventListener('click', () => this.exportForecast('json'));
+        document.getElementById('exportInsightsJsonBtn').addEventListener('click', () => this.exportInsights());
+        document.getElementById('exportReportHtmlBtn').addEventListener('click', () => this.exportReport('html'));
+        document.getElementById('exportReportPdfBtn').addEventListener('click', () => this.exportReport('pdf'));
+        ['runsAssetFilter', 'runsStatusFilter', 'runsChampionFilter'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderRuns());
+        });
+        document.getElementById('runsSearchInput').addEventListener('input', () => this.renderRuns());
+        document.getElementById('runsClearSelectionBtn').addEventListener('click', () => {
+            this.selectedRunIds.clear();
+            this.renderRuns();
+        });
+        document.getElementById('runsClearLogBtn').addEventListener('click', () => this.clearRuns());
+        document.getElementById('searchBtn').addEventListener('click', () => this.runHyperparameterSearch());
+        document.getElementById('searchCancelBtn').addEventListener('click', () => {
+            this.searchWorker?.postMessage({ type: 'cancel' });
+        });
+        document.getElementById('searchApplyBtn').addEventListener('click', () => this.applyBestSearchConfig());
+        document.getElementById('saveModelBtn').addEventListener('click', () => this.saveModel());
+        const modelFileInput = document.getElementById('modelFileInput');
+        modelFileInput.addEventListener('change', () => {
+            if (modelFileInput.files.length > 0) {
+                this.importModel(modelFileInput.files);
+            }
+            modelFileInput.value = '';
+        });
+        document.getElementById('assetSelect').addEventListener('change', (event) => {
+            const name = event.target.value;
+            this.loadFromSource(() => this.dataLoader.selectAsset(name));
+        });
+
+        const fileInput = document.getElementById('csvFileInput');
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.loadFromFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        const dropZone = document.getElementById('dropZone');
+        ['dragenter', 'dragover'].forEach(eventName => {
+            dropZone.addEventListener(eventName, (event) => {
+                event.preventDefault();
+                dropZone.classList.add('drag-over');
+            });
+        });
+        ['dragleave', 'drop'].forEach(eventName => {
+            dropZone.addEventListener(eventName, (event) => {
+                event.preventDefault();
+                dropZone.classList.remove('drag-over');
+            });
+        });
+        dropZone.addEventListener('drop', (event) => {
+            const file = event.dataTransfer?.files?.[0];
+            if (file) {
+                this.loadFromFile(file);
+            }
+        });
+
+        // Ctrl+V вне полей ввода — вставка CSV из буфера обмена
+        document.addEventListener('paste', (event) => {
+            if (event.target.closest('input, textarea')) return;
+            const text = event.clipboardData?.getData('text');
+            if (text) {
+                event.preventDefault();
+                this.loadFromSource(() => this.dataLoader.loadCSVFromText(text, 'Clipboard', this.getLoadOptions()));
+            }
+        });
     }
 
     destroyChart(chartName) {
@@ -54,44 +230,456 @@ class StockPredictorApp {
     }
 
     async autoLoadData() {
+        await this.loadFromSource(() => this.dataLoader.loadCSVFromGitHub());
+    }
+
+    async loadData() {
+        await this.loadFromSource(() => this.dataLoader.loadCSVFromGitHub(this.getLoadOptions()));
+    }
+
+    async loadFromFile(file) {
+        await this.loadFromSource(() => this.dataLoader.loadCSVFromFile(file, this.getLoadOptions()));
+    }
+
+    async loadFromClipboard() {
+        await this.loadFromSource(() => this.dataLoader.loadCSVFromClipboard(this.getLoadOptions()));
+    }
+
+    // Режим добавления актива и его имя берутся из формы управления данными
+    getLoadOptions() {
+        const nameInput = document.getElementById('assetNameInput');
+        const options = {
+            append: document.getElementById('appendAssetToggle').checked,
+            assetName: nameInput.value.trim() || null
+        };
+        nameInput.value = '';
+        return options;
+    }
+
+    // Общий путь для всех источников данных: сброс, загрузка, подготовка, инсайты, графики
+    async loadFromSource(loadFn) {
+        if (this.isTraining) {
+            this.updateStatus('dataStatus', '⚠️ Wait for training to finish before loading new data', 'warning');
+            return;
+        }
+
         try {
-            await this.dataLoader.loadCSVFromGitHub();
-            this.dataLoader.prepareData();
-            
-            document.getElementById('viewDataBtn').disabled = false;
-            document.getElementById('trainBtn').disabled = false;
+            this.updateStatus('dataStatus', '🚀 Loading data...', 'info');
+            this.dataLoader.dispose();
+            this.model.dispose();
+            this.trainingClient.reset();
+            this.predictions = null;
+            this.predictionDates = null;
+            this.predictionIntervals = null;
+            this.updateModelActions();
+
+            // Уничтожаем все графики
+            Object.keys(this.charts).forEach(chart => this.destroyChart(chart));
+
+            await loadFn();
+            this.dataLoader.prepareData(this.model.windowSize, this.model.predictionHorizon);
+            this.model.setNumFeatures(this.dataLoader.featureCount);
+            this.trainingDataStale = false;
+
+            this.setDataActions(true);
             document.getElementById('loadDataBtn').innerHTML = '🔄 Reload Data';
-            
+
             this.insights = this.dataLoader.getInsights();
             this.displayInsights();
             this.createCombinedChart();
-            
-            this.updateStatus('dataStatus', '✅ Data loaded! Ready for fast training', 'success');
+            this.renderParseReport();
+            this.renderAssetList();
+            this.renderCorrelationMatrix();
+            this.renderFeatureOptions();
+            this.updateExportControls();
+            this.renderRuns();
+
+            this.updateStatus('dataStatus',
+                `✅ ${this.dataLoader.activeAsset} loaded from ${this.dataLoader.source} (${this.dataLoader.data.length} rows). Ready for fast training`,
+                'success'
+            );
         } catch (error) {
-            this.updateStatus('dataStatus', `❌ ${error.message}`, 'error');
+            // Выборки уже освобождены, а новые не подготовлены: обучать и анализировать нечего до удачной загрузки
+            this.setDataActions(false);
+            document.getElementById('loadDataBtn').innerHTML = '🔄 Reload Data';
+            this.reportError('dataStatus', error, 'Loading data');
+            this.renderParseReport();
         }
     }
 
-    async loadData() {
+    setDataActions(enabled) {
+        ['viewDataBtn', 'trainBtn', 'walkForwardBtn', 'searchBtn'].forEach(id => {
+            document.getElementById(id).disabled = !enabled;
+        });
+    }
+
+    renderParseReport() {
+        const container = document.getElementById('parseReport');
+        const select = document.getElementById('priceColumnSelect');
+        const report = this.dataLoader.getParseReport();
+
+        container.innerHTML = '';
+        select.innerHTML = '';
+        select.disabled = true;
+        if (!report) return;
+
+        report.numericColumns.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column;
+            option.textContent = column;
+            option.selected = column === report.priceColumn;
+            select.appendChild(option);
+        });
+        select.disabled = report.numericColumns.length < 2;
+
+        const delimiterName = { ',': 'comma', ';': 'semicolon', '\t': 'tab' }[report.delimiter] || report.delimiter;
+        const summary = document.createElement('div');
+        summary.textContent = `📄 ${report.validRows}/${report.totalRows} rows • ${delimiterName}-separated • ` +
+            `decimal "${report.decimal}" • dates ${report.dateFormat} • price: ${report.priceColumn}`;
+        container.appendChild(summary);
+
+        if (report.skipped.length > 0) {
+            const details = document.createElement('details');
+            const title = document.createElement('summary');
+            title.textContent = `⚠️ ${report.skipped.length} rows skipped`;
+            details.appendChild(title);
+
+            const list = document.createElement('ul');
+            report.skipped.slice(0, 100).forEach(row => {
+                const item = document.createElement('li');
+                item.textContent = `Line ${row.line}: ${row.reason} — ${row.raw}`;
+                list.appendChild(item);
+            });
+            details.appendChild(list);
+            container.appendChild(details);
+        }
+    }
+
+    // Конфигурация архитектуры из формы обучения
+    getModelConfig() {
+        const value = id => document.getElementById(id).value;
+        return {
+            type: value('modelType'),
+            layers: parseInt(value('modelLayers')) || DEFAULT_MODEL_CONFIG.layers,
+            units: parseInt(value('modelUnits')) || DEFAULT_MODEL_CONFIG.units,
+            dropout: parseFloat(value('modelDropout')) || 0,
+            recurrentDropout: parseFloat(value('modelRecurrentDropout')) || 0,
+            optimizer: value('modelOptimizer'),
+            learningRate: parseFloat(value('modelLearningRate')) || DEFAULT_MODEL_CONFIG.learningRate,
+            loss: value('modelLoss')
+        };
+    }
+
+    getTrainingOptions() {
+        return {
+            earlyStopping: document.getElementById('earlyStoppingToggle').checked,
+            patience: parseInt(document.getElementById('patienceInput').value) || 5,
+            minDelta: parseFloat(document.getElementById('minDeltaInput').value) || 0,
+            schedule: document.getElementById('lrScheduleSelect').value,
+            restoreBest: document.getElementById('restoreBestToggle').checked
+        };
+    }
+
+    renderModelConfig(config) {
+        const fields = {
+            modelType: config.type,
+            modelLayers: config.layers,
+            modelUnits: config.units,
+            modelDropout: config.dropout,
+            modelRecurrentDropout: config.recurrentDropout,
+            modelOptimizer: config.optimizer,
+            modelLearningRate: config.learningRate,
+            modelLoss: config.loss
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            document.getElementById(id).value = value;
+        });
+    }
+
+    renderFeatureOptions() {
+        const container = document.getElementById('featureOptions');
+        const selected = new Set(this.dataLoader.features);
+        container.innerHTML = '';
+
+        this.dataLoader.getFeatureList().forEach(feature => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = feature.key;
+            checkbox.checked = selected.has(feature.key);
+            // Доходность — целевая переменная, её нельзя отключить
+            checkbox.disabled = feature.key === 'returns' || !feature.available;
+            checkbox.addEventListener('change', () => this.reprepareData());
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(
+                feature.available ? feature.label : `${feature.label} (not in data)`
+            ));
+            container.appendChild(label);
+        });
+    }
+
+    // Пересборка выборок при смене признаков или метода нормализации
+    reprepareData() {
+        if (this.isTraining) return false;
+
+        const features = [...document.querySelectorAll('#featureOptions input:checked')].map(input => input.value);
+        const scalerMethod = document.getElementById('scalerSelect').value;
         try {
-            this.updateStatus('dataStatus', 'Reloading...', 'info');
             this.dataLoader.dispose();
-            this.model.dispose();
-            
-            // Уничтожаем все графики
-            Object.keys(this.charts).forEach(chart => this.destroyChart(chart));
-            
-            await this.dataLoader.loadCSVFromGitHub();
-            this.dataLoader.prepareData();
-            
-            this.insights = this.dataLoader.getInsights();
+            this.dataLoader.prepareData(this.model.windowSize, this.model.predictionHorizon, 0.2, features, scalerMethod);
+            this.model.setNumFeatures(this.dataLoader.featureCount);
+            this.trainingClient.reset();
+            this.predictions = null;
+            this.predictionDates = null;
+            this.updateModelActions();
+
+            this.trainingDataStale = false;
+
+            this.updateStatus('trainingStatus',
+                `🧩 ${this.dataLoader.featureCount} input features (${scalerMethod}): ${this.dataLoader.featureColumns.join(', ')}. Retrain the model.`,
+                'info'
+            );
+            return true;
+        } catch (error) {
+            this.reportError('trainingStatus', error, 'Preparing samples');
+            return false;
+        }
+    }
+
+    renderRangePresets() {
+        const container = document.getElementById('rangePresets');
+        container.innerHTML = '';
+        Object.entries(DATE_RANGE_PRESETS).forEach(([preset, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.dataset.preset = preset;
+            button.title = label;
+            button.textContent = /^(\d+Y|YTD|Max)$/.test(preset) ? preset : label;
+            button.addEventListener('click', () => this.applyRangePreset(preset));
+            container.appendChild(button);
+        });
+    }
+
+    applyRangePreset(preset) {
+        const dates = this.dataLoader.dateLabels;
+        if (dates.length === 0) return;
+
+        const range = resolvePreset(preset, dates[0], dates[dates.length - 1]);
+        if (!range) {
+            this.updateStatus('dataStatus', `⚠️ ${DATE_RANGE_PRESETS[preset]} is outside the loaded history (${dates[0]} → ${dates[dates.length - 1]})`, 'warning');
+            return;
+        }
+        this.activeRangePreset = preset;
+        if (preset === 'Max') {
+            this.applyDateRange(null, null);
+        } else {
+            this.applyDateRange(range.start, range.end);
+        }
+    }
+
+    // Период анализа: пересчёт инсайтов и скользящих рядов; fromChart — диапазон пришёл от зума/панорамы
+    applyDateRange(start, end, { fromChart = false } = {}) {
+        try {
+            this.insights = this.dataLoader.setDateRange(start, end);
             this.displayInsights();
-            this.createCombinedChart();
-            
-            this.updateStatus('dataStatus', '✅ Data reloaded!', 'success');
+            if (!fromChart) this.zoomCombinedChart();
+            this.syncRangeControls();
+            if (this.dataLoader.limitTrainingToRange) this.markTrainingRangeChanged();
+
+            const { range, basic } = this.insights;
+            this.updateStatus('dataStatus',
+                `📅 Analytics for ${range.start} → ${range.end} (${basic.totalDays} days)${range.isFull ? ' — full history' : ''}`,
+                'info'
+            );
         } catch (error) {
-            this.updateStatus('dataStatus', `❌ ${error.message}`, 'error');
+            this.updateStatus('dataStatus', `⚠️ ${error.message}`, 'warning');
+            this.syncRangeControls();
+        }
+    }
+
+    syncRangeControls() {
+        const dates = this.dataLoader.dateLabels;
+        const range = this.insights?.range;
+        ['rangeStartInput', 'rangeEndInput'].forEach(id => {
+            const input = document.getElementById(id);
+            input.disabled = dates.length === 0;
+            input.min = dates[0] || '';
+            input.max = dates[dates.length - 1] || '';
+        });
+        if (range) {
+            document.getElementById('rangeStartInput').value = range.start;
+            document.getElementById('rangeEndInput').value = range.end;
+        }
+        document.querySelectorAll('#rangePresets .btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.preset === (range?.isFull ? 'Max' : this.activeRangePreset));
+        });
+    }
+
+    markTrainingRangeChanged() {
+        this.trainingDataStale = true;
+        const range = this.insights?.range;
+        this.updateStatus('trainingStatus',
+            this.dataLoader.limitTrainingToRange && range
+                ? `📅 Next training uses only ${range.start} → ${range.end}`
+                : '📅 Next training uses the full history',
+            'info'
+        );
+    }
+
+    // Зум/панорама графика цены меняют период анализа (с задержкой, чтобы не пересчитывать на каждый шаг колеса)
+    onCombinedChartRangeChange(chart) {
+        const labels = chart.data.labels;
+        const { min, max } = chart.scales.x;
+        clearTimeout(this.rangeUpdateTimer);
+        this.rangeUpdateTimer = setTimeout(() => {
+            this.activeRangePreset = null;
+            const isFull = min <= 0 && max >= labels.length - 1;
+            this.applyDateRange(isFull ? null : labels[min], isFull ? null : labels[max], { fromChart: true });
+        }, 200);
+    }
+
+    zoomCombinedChart() {
+        const chart = this.charts.combined;
+        const range = this.insights?.range;
+        if (!chart || !range) return;
+
+        const labels = chart.data.labels;
+        if (typeof chart.zoomScale === 'function') {
+            if (range.isFull) {
+                chart.resetZoom('none');
+            } else {
+                chart.zoomScale('x', { min: labels.indexOf(range.start), max: labels.indexOf(range.end) }, 'none');
+            }
+        } else {
+            chart.options.scales.x.min = range.isFull ? undefined : range.start;
+            chart.options.scales.x.max = range.isFull ? undefined : range.end;
+            chart.update('none');
+        }
+    }
+
+    renderAssetList() {
+        const select = document.getElementById('assetSelect');
+        const list = document.getElementById('assetList');
+        const names = this.dataLoader.getAssetNames();
+
+        select.innerHTML = '';
+        list.innerHTML = '';
+        select.disabled = names.length < 2;
+
+        names.forEach((name, idx) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === this.dataLoader.activeAsset;
+            select.appendChild(option);
+
+            const chip = document.createElement('span');
+            chip.className = 'asset-chip';
+            chip.style.borderColor = ASSET_COLORS[idx % ASSET_COLORS.length];
+            chip.textContent = name;
+            if (names.length > 1) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'asset-remove';
+                removeBtn.title = `Remove ${name}`;
+                removeBtn.textContent = '✕';
+                removeBtn.addEventListener('click', () => {
+                    this.loadFromSource(() => this.dataLoader.removeAsset(name));
+                });
+                chip.appendChild(removeBtn);
+            }
+            list.appendChild(chip);
+        });
+
+        // Бенчмарк для беты — любой загруженный актив, кроме активного
+        const benchmarkSelect = document.getElementById('benchmarkSelect');
+        const benchmark = this.dataLoader.getBenchmarkName();
+        benchmarkSelect.innerHTML = '';
+        benchmarkSelect.disabled = !benchmark;
+        if (!benchmark) {
+            benchmarkSelect.innerHTML = '<option value="">N/A (one asset loaded)</option>';
+            return;
+        }
+        names.filter(name => name !== this.dataLoader.activeAsset).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === benchmark;
+            benchmarkSelect.appendChild(option);
+        });
+    }
+
+    renderCorrelationMatrix() {
+        const card = document.getElementById('correlationCard');
+        const container = document.getElementById('correlationContainer');
+        const names = this.dataLoader.getAssetNames();
+
+        container.innerHTML = '';
+        card.style.display = names.length > 1 ? 'block' : 'none';
+        if (names.length < 2) return;
+
+        const { matrix } = this.dataLoader.getCorrelationMatrix();
+        const table = document.createElement('table');
+        table.className = 'correlation-table';
+
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th'));
+        names.forEach(name => {
+            const th = document.createElement('th');
+            th.textContent = name;
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        matrix.forEach((row, i) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.textContent = names[i];
+            tr.appendChild(th);
+
+            row.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = isNaN(value) ? 'N/A' : value.toFixed(2);
+                // Зелёный — положительная корреляция, красный — отрицательная
+                const alpha = isNaN(value) ? 0 : Math.abs(value) * 0.6;
+                td.style.background = value >= 0
+                    ? `rgba(144, 238, 144, ${alpha})`
+                    : `rgba(255, 107, 129, ${alpha})`;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+
+        container.appendChild(table);
+    }
+
+    updateVolatilitySettings() {
+        const settings = {
+            window: parseInt(document.getElementById('volWindowSelect').value) || 20,
+            regimePercentile: parseFloat(document.getElementById('volRegimeSelect').value) || 0.9
+        };
+        if (!this.dataLoader.data) {
+            this.dataLoader.volatilitySettings = { ...this.dataLoader.volatilitySettings, ...settings };
+            return;
+        }
+        this.insights = this.dataLoader.setVolatilitySettings(settings);
+        this.displayInsights();
+    }
+
+    updateRiskSettings() {
+        const riskFreeRate = parseFloat(document.getElementById('riskFreeRateInput').value);
+        const periodsPerYear = parseInt(document.getElementById('periodsPerYearSelect').value);
+        const settings = {
+            riskFreeRate: isNaN(riskFreeRate) ? 0 : riskFreeRate / 100,
+            periodsPerYear: periodsPerYear || 252,
+            benchmark: document.getElementById('benchmarkSelect').value || null
+        };
+        if (!this.dataLoader.data) {
+            this.dataLoader.riskSettings = { ...this.dataLoader.riskSettings, ...settings };
+            return;
         }
+        this.insights = this.dataLoader.setRiskSettings(settings);
+        this.displayInsights();
     }
 
     displayInsights() {
@@ -101,33 +689,117 @@ class StockPredictorApp {
         metricsContainer.innerHTML = '';
         metricsContainer.style.display = 'grid';
         
-        const insights = [
-            { label: '📈 Total Return', value: this.insights.basic.totalReturn },
-            { label: '📉 Max Drawdown', value: this.insights.basic.maxDrawdown },
-            { label: '📊 Annual Volatility', value: this.insights.returns.annualizedVolatility },
-            { label: '🎯 Sharpe Ratio', value: this.insights.returns.sharpeRatio },
-            { label: '📅 Positive Days', value: this.insights.returns.positiveDays },
-            { label: '🚦 Current Trend', value: this.insights.trends.currentTrend },
-            { label: '📊 SMA 50', value: `$${this.insights.trends.sma50}` },
-            { label: '📈 SMA 200', value: `$${this.insights.trends.sma200}` },
-            { label: '⚡ Current Volatility', value: this.insights.volatility.currentRollingVol },
-            { label: '📊 Avg Volatility', value: this.insights.volatility.avgRollingVol }
+        const { basic, returns, trends, volatility, tailRisk, riskAdjusted, distribution, drawdowns } = this.insights;
+        const days = value => (typeof value === 'number' ? `${value} days` : value);
+        
+        const sections = [
+            {
+                title: '📊 Overview',
+                cards: [
+                    { label: '📈 Total Return', value: basic.totalReturn },
+                    { label: '📉 Max Drawdown', value: basic.maxDrawdown },
+                    { label: '📊 Annual Volatility', value: returns.annualizedVolatility },
+                    { label: '🎯 Sharpe Ratio', value: returns.sharpeRatio },
+                    { label: '📅 Positive Days', value: returns.positiveDays },
+                    { label: '🚦 Current Trend', value: trends.currentTrend },
+                    { label: '📊 SMA 50', value: `$${trends.sma50}` },
+                    { label: '📈 SMA 200', value: `$${trends.sma200}` },
+                    { label: `⚡ Current Volatility (${volatility.window}d)`, value: volatility.currentRollingVol },
+                    { label: `📊 Avg Volatility (${volatility.window}d)`, value: volatility.avgRollingVol }
+                ]
+            },
+            {
+                title: '🌪️ Volatility Models',
+                cards: [
+                    { label: `Max / Min ${volatility.window}d Volatility`, value: `${volatility.maxRollingVol} / ${volatility.minRollingVol}` },
+                    { label: 'EWMA Volatility', value: volatility.ewmaVol },
+                    { label: 'GARCH(1,1) Volatility', value: volatility.garchVol },
+                    { label: 'GARCH Long-Run Volatility', value: volatility.garchLongRunVol },
+                    { label: 'GARCH α / β', value: `${volatility.garchAlpha} / ${volatility.garchBeta}` },
+                    { label: 'GARCH Persistence (α + β)', value: volatility.garchPersistence },
+                    { label: 'High-Vol Threshold', value: volatility.regimeThreshold },
+                    { label: 'Days in High-Vol Regime', value: volatility.highVolShare }
+                ]
+            },
+            {
+                title: '🧯 Tail Risk (1-day loss)',
+                cards: [
+                    { label: 'Historical VaR 95%', value: tailRisk.historicalVaR95 },
+                    { label: 'Historical CVaR 95%', value: tailRisk.historicalCVaR95 },
+                    { label: 'Historical VaR 99%', value: tailRisk.historicalVaR99 },
+                    { label: 'Historical CVaR 99%', value: tailRisk.historicalCVaR99 },
+                    { label: 'Parametric VaR 95%', value: tailRisk.parametricVaR95 },
+                    { label: 'Parametric CVaR 95%', value: tailRisk.parametricCVaR95 },
+                    { label: 'Parametric VaR 99%', value: tailRisk.parametricVaR99 },
+                    { label: 'Parametric CVaR 99%', value: tailRisk.parametricCVaR99 }
+                ]
+            },
+            {
+                title: `⚖️ Risk-Adjusted Return (rf ${riskAdjusted.riskFreeRate}, ${riskAdjusted.periodsPerYear} periods/year)`,
+                cards: [
+                    { label: '📈 CAGR', value: riskAdjusted.cagr },
+                    { label: '🎯 Sharpe Ratio', value: returns.sharpeRatio },
+                    { label: '🛡️ Sortino Ratio', value: riskAdjusted.sortinoRatio },
+                    { label: '🏔️ Calmar Ratio', value: riskAdjusted.calmarRatio },
+                    {
+                        label: riskAdjusted.benchmark === 'N/A' ? 'β Beta (load a second asset)' : `β Beta vs ${riskAdjusted.benchmark}`,
+                        value: riskAdjusted.beta
+                    }
+                ]
+            },
+            {
+                title: '🔔 Return Distribution',
+                cards: [
+                    { label: 'Skewness', value: distribution.skewness },
+                    { label: 'Excess Kurtosis', value: distribution.excessKurtosis },
+                    { label: 'Worst Day', value: distribution.worstPeriod },
+                    { label: 'Best Day', value: distribution.bestPeriod }
+                ]
+            },
+            {
+                title: '📉 Drawdowns',
+                cards: [
+                    { label: 'Max Drawdown Peak', value: drawdowns.maxDrawdownPeak },
+                    { label: 'Max Drawdown Trough', value: drawdowns.maxDrawdownTrough },
+                    { label: 'Recovered On', value: drawdowns.maxDrawdownRecovery },
+                    { label: 'Max Drawdown Duration', value: days(drawdowns.maxDrawdownDuration) },
+                    { label: `Longest Drawdown (${drawdowns.longestDrawdownRange})`, value: days(drawdowns.longestDrawdown) },
+                    { label: 'Avg Time to Recover', value: days(drawdowns.avgRecoveryDuration) },
+                    { label: 'Current Drawdown', value: drawdowns.currentDrawdown },
+                    { label: 'Current Drawdown Duration', value: days(drawdowns.currentDrawdownDuration) }
+                ]
+            }
         ];
         
-        insights.forEach(insight => {
-            const card = document.createElement('div');
-            card.className = 'insight-card fade-in';
-            card.innerHTML = `
-                <div class="insight-value">${insight.value}</div>
-                <div class="insight-label">${insight.label}</div>
-            `;
-            metricsContainer.appendChild(card);
+        sections.forEach(section => {
+            const title = document.createElement('h3');
+            title.className = 'insight-section-title';
+            title.textContent = section.title;
+            metricsContainer.appendChild(title);
+            
+            section.cards.forEach(insight => {
+                metricsContainer.appendChild(this.createInsightCard(insight.value, insight.label));
+            });
         });
         
         // Создаем график волатильности
         this.createVolatilityChart();
     }
 
+    // Подписи содержат имена активов из пользовательского CSV, поэтому только textContent
+    createInsightCard(value, label) {
+        const card = document.createElement('div');
+        card.className = 'insight-card fade-in';
+        const valueEl = document.createElement('div');
+        valueEl.className = 'insight-value';
+        valueEl.textContent = value;
+        const labelEl = document.createElement('div');
+        labelEl.className = 'insight-label';
+        labelEl.textContent = label;
+        card.append(valueEl, labelEl);
+        return card;
+    }
+
     createCombinedChart() {
         const historicalData = this.dataLoader.getHistoricalData();
         if (!historicalData) return;
@@ -146,13 +818,28 @@ class StockPredictorApp {
         const sma50Data = [...Array(dates.length - sma50.length).fill(null), ...sma50];
         const sma200Data = [...Array(dates.length - sma200.length).fill(null), ...sma200];
         
+        // Наложение нормализованной динамики (база 100) для нескольких активов
+        const overlay = this.dataLoader.getAssetNames().length > 1
+            ? this.dataLoader.getNormalizedPerformance()
+            : null;
+        const overlayDatasets = overlay ? overlay.series.map((series, idx) => ({
+            label: `${series.name} (base 100)`,
+            data: series.values,
+            yAxisID: 'y1',
+            borderColor: ASSET_COLORS[idx % ASSET_COLORS.length],
+            backgroundColor: 'transparent',
+            borderWidth: series.name === historicalData.name ? 1.5 : 1,
+            tension: 0.1,
+            pointRadius: 0
+        })) : [];
+        
         this.charts.combined = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: dates,
                 datasets: [
                     {
-                        label: 'S&P 500 Price',
+                        label: `${historicalData.name} Price`,
                         data: prices,
                         borderColor: '#ff6b81',
                         backgroundColor: 'rgba(255, 107, 129, 0.05)',
@@ -181,7 +868,8 @@ class StockPredictorApp {
                         tension: 0.1,
                         borderDash: [3, 3], // Пунктирная линия
                         pointRadius: 0
-                    }
+                    },
+                    ...overlayDatasets
                 ]
             },
             options: {
@@ -194,7 +882,9 @@ class StockPredictorApp {
                 plugins: {
                     title: {
                         display: true,
-                        text: 'S&P 500 with Moving Averages',
+                        text: overlay
+                            ? `${historicalData.name} with Moving Averages • Normalized Performance`
+                            : `${historicalData.name} with Moving Averages`,
                         color: '#ffccd5',
                         font: { size: 14, weight: 'normal' }
                     },
@@ -218,7 +908,9 @@ class StockPredictorApp {
                         callbacks: {
                             label: function(context) {
                                 let label = context.dataset.label || '';
-                                if (label && context.parsed.y !== null) {
+                                if (label && context.parsed.y !== null && context.dataset.yAxisID === 'y1') {
+                                    label += ': ' + context.parsed.y.toFixed(1);
+                                } else if (label && context.parsed.y !== null) {
                                     label += ': $' + context.parsed.y.toLocaleString(undefined, {
                                         minimumFractionDigits: 2,
                                         maximumFractionDigits: 2
@@ -227,6 +919,30 @@ class StockPredictorApp {
                                 return label;
                             }
                         }
+                    },
+                    // Перетаскивание — выбор периода, Shift + перетаскивание — сдвиг, колесо — масштаб
+                    zoom: {
+                        limits: {
+                            x: { minRange: 20 }
+                        },
+                        pan: {
+                            enabled: true,
+                            mode: 'x',
+                            modifierKey: 'shift',
+                            onPanComplete: ({ chart }) => this.onCombinedChartRangeChange(chart)
+                        },
+                        zoom: {
+                            mode: 'x',
+                            wheel: { enabled: true },
+                            pinch: { enabled: true },
+                            drag: {
+                                enabled: true,
+                                backgroundColor: 'rgba(255, 107, 129, 0.15)',
+                                borderColor: '#ff6b81',
+                                borderWidth: 1
+                            },
+                            onZoomComplete: ({ chart }) => this.onCombinedChartRangeChange(chart)
+                        }
                     }
                 },
                 scales: {
@@ -253,42 +969,108 @@ class StockPredictorApp {
                             color: 'rgba(255,255,255,0.05)',
                             drawBorder: false
                         }
+                    },
+                    y1: {
+                        display: !!overlay,
+                        position: 'right',
+                        ticks: { 
+                            color: '#ffccd5',
+                            font: { size: 10 }
+                        },
+                        grid: { 
+                            drawOnChartArea: false,
+                            drawBorder: false
+                        }
                     }
                 }
             }
         });
+        
+        // Выбранный период сохраняется при перезагрузке данных и смене актива
+        this.zoomCombinedChart();
+        this.syncRangeControls();
     }
 
     createVolatilityChart() {
-        if (!this.insights?.rollingVolatilities) return;
+        const series = this.insights?.volatilitySeries;
+        if (!series) return;
         
         // Уничтожаем старый график
         this.destroyChart('volatility');
         
         const ctx = document.getElementById('predictionChart').getContext('2d');
         
-        const volatilities = this.insights.rollingVolatilities;
-        const labels = Array.from({ length: volatilities.length }, (_, i) => `Day ${i + 1}`);
+        const toPct = values => values.map(v => (isNaN(v) ? null : v * 100));
+        const rolling = toPct(series.rolling);
+        const ewma = toPct(series.ewma);
+        const garch = toPct(series.garch);
+        // Заливка режима до верхней границы графика: столбик там, где скользящая волатильность выше порога
+        const top = Math.max(...[...rolling, ...ewma, ...garch].filter(v => v !== null)) * 1.05;
+        const percentileLabel = `${Math.round(series.regimePercentile * 100)}th pct`;
         
         this.charts.volatility = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: labels,
-                datasets: [{
-                    label: '20-Day Rolling Volatility',
-                    data: volatilities.map(v => v * 100),
-                    borderColor: '#6495ed',
-                    backgroundColor: 'rgba(100, 149, 237, 0.05)',
-                    borderWidth: 1.2, // Тонкая линия
-                    fill: true,
-                    tension: 0.2,
-                    pointRadius: 0,
-                    pointHoverRadius: 3
-                }]
+                labels: series.dates,
+                datasets: [
+                    {
+                        label: `${series.window}-Day Rolling Volatility`,
+                        data: rolling,
+                        borderColor: '#6495ed',
+                        backgroundColor: 'rgba(100, 149, 237, 0.05)',
+                        borderWidth: 1.2, // Тонкая линия
+                        fill: true,
+                        tension: 0.2,
+                        pointRadius: 0,
+                        pointHoverRadius: 3
+                    },
+                    {
+                        label: `EWMA (λ = ${series.ewmaLambda})`,
+                        data: ewma,
+                        borderColor: '#ffcc00',
+                        backgroundColor: 'transparent',
+                        borderWidth: 1,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'GARCH(1,1)',
+                        data: garch,
+                        borderColor: '#90ee90',
+                        backgroundColor: 'transparent',
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        hidden: !series.garchParams
+                    },
+                    {
+                        label: `Threshold (${percentileLabel})`,
+                        data: series.dates.map(() => series.threshold * 100),
+                        borderColor: 'rgba(255, 107, 129, 0.7)',
+                        backgroundColor: 'transparent',
+                        borderWidth: 1,
+                        borderDash: [4, 4],
+                        pointRadius: 0
+                    },
+                    {
+                        label: `High-vol regime (> ${percentileLabel})`,
+                        data: series.highVolatility.map(high => (high ? top : null)),
+                        isRegime: true,
+                        borderColor: 'transparent',
+                        backgroundColor: 'rgba(255, 107, 129, 0.15)',
+                        borderWidth: 0,
+                        fill: 'origin',
+                        stepped: true,
+                        pointRadius: 0,
+                        order: 10
+                    }
+                ]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
                 plugins: {
                     title: {
                         display: true,
@@ -310,10 +1092,12 @@ class StockPredictorApp {
                         bodyColor: '#ffccd5',
                         borderColor: '#6495ed',
                         borderWidth: 1,
+                        filter: item => !item.dataset.isRegime,
                         callbacks: {
                             label: function(context) {
-                                return `Volatility: ${context.parsed.y.toFixed(2)}%`;
-                            }
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`;
+                            },
+                            footer: items => (series.highVolatility[items[0]?.dataIndex] ? 'High-volatility regime' : '')
                         }
                     }
                 },
@@ -347,55 +1131,28 @@ class StockPredictorApp {
         });
     }
 
+    // Обучение идёт в воркере; по завершении веса возвращаются в главный поток для реестра
     async fastTrainModel() {
         if (this.isTraining) return;
+        if (this.trainingDataStale && !this.reprepareData()) return;
+        
+        const progressBar = document.getElementById('progressBar');
+        const progressFill = document.getElementById('progressFill');
+        let runSetup = null;
         
         try {
             this.isTraining = true;
+            this.activeRun = null;
             const epochs = parseInt(document.getElementById('epochs').value) || 12;
             
-            this.updateStatus('trainingStatus', '🚀 Starting ultra-fast training...', 'info');
-            
-            const progressBar = document.getElementById('progressBar');
-            const progressFill = document.getElementById('progressFill');
+            this.updateStatus('trainingStatus', '🚀 Starting training in a background worker...', 'info');
+            this.setTrainingControls('running');
+            this.updateModelActions();
             progressBar.style.display = 'block';
             progressFill.style.width = '0%';
             
-            const startTime = Date.now();
-            
-            // First, ensure the model is built
-            if (!this.model.model) {
-                this.model.buildModel();
-            }
-            
-            // Create callback object correctly
-            const callbacks = {
-                onEpochEnd: (epoch, logs) => {
-                    const progress = ((epoch + 1) / epochs) * 100;
-                    progressFill.style.width = `${progress}%`;
-                    
-                    this.updateStatus('trainingStatus', 
-                        `⚡ Epoch ${epoch + 1}/${epochs} | Loss: ${logs?.loss?.toFixed(6) || '0.000000'}`,
-                        'info'
-                    );
-                },
-                onTrainEnd: (totalTime) => {
-                    this.isTraining = false;
-                    progressBar.style.display = 'none';
-                    document.getElementById('predictBtn').disabled = false;
-                    
-                    // Evaluate the model
-                    const metrics = this.model.evaluate(this.dataLoader.X_test, this.dataLoader.y_test);
-                    
-                    this.updateStatus('trainingStatus', 
-                        `✅ Training completed! RMSE: ${(metrics.rmse * 100).toFixed(3)}%`,
-                        'success'
-                    );
-                    
-                    // Show training metrics
-                    this.showTrainingMetrics(metrics);
-                }
-            };
+            // Архитектура из формы; при изменении модель пересобирается с нуля
+            this.model.setConfig(this.getModelConfig());
             
             console.log('Starting training with:', {
                 X_train_shape: this.dataLoader.X_train?.shape,
@@ -403,76 +1160,598 @@ class StockPredictorApp {
                 epochs: epochs
             });
             
-            // Call the train method with correct parameters
-            await this.model.train(this.dataLoader.X_train, this.dataLoader.y_train, epochs, callbacks);
+            this.startTrainingCurves();
+            runSetup = this.describeRunSetup(epochs);
+            let lastStatus = '';
+            const result = await this.trainingClient.train({
+                model: this.model,
+                epochs,
+                trainingOptions: this.getTrainingOptions(),
+                // Скейлеры обучены только на train-части — сохраняем их вместе с моделью
+                normalization: this.dataLoader.getNormalizationParams(),
+                data: {
+                    X_train: this.dataLoader.X_train,
+                    y_train: this.dataLoader.y_train,
+                    X_test: this.dataLoader.X_test,
+                    y_test: this.dataLoader.y_test
+                }
+            }, {
+                onEpochEnd: (epoch, totalEpochs, logs) => {
+                    this.recordTrainingEpoch(epoch, logs);
+                    progressFill.style.width = `${((epoch + 1) / totalEpochs) * 100}%`;
+                    lastStatus = `⚡ Epoch ${epoch + 1}/${totalEpochs} | Loss: ${logs?.loss?.toFixed(6) || '0.000000'}` +
+                        (logs?.val_loss !== undefined ? ` | Val loss: ${logs.val_loss.toFixed(6)}` : '') +
+                        ` | LR: ${logs?.learningRate?.toPrecision(3)}`;
+                    this.updateStatus('trainingStatus', lastStatus, 'info');
+                },
+                onPause: () => {
+                    this.setTrainingControls('paused');
+                    this.updateStatus('trainingStatus', `⏸ Paused. ${lastStatus}`, 'warning');
+                },
+                onResume: () => {
+                    this.setTrainingControls('running');
+                    this.updateStatus('trainingStatus', lastStatus || '▶ Resumed', 'info');
+                }
+            });
+            
+            if (result.status === 'cancelled') {
+                this.model.dispose();
+                this.updateStatus('trainingStatus', '⏹ Training cancelled. Worker tensors released.', 'warning');
+                await this.logRun(runSetup, { status: 'cancelled' });
+                return;
+            }
             
-        } catch (error) {
-            this.isTraining = false;
-            document.getElementById('progressBar').style.display = 'none';
-            document.getElementById('predictBtn').disabled = false;
+            // Копия обученной модели в главном потоке: сохранение, бэктест, сравнение с базовыми
+            const { model } = await SequenceForecaster.load(tf.io.fromMemory(result.artifacts));
+            this.model.dispose();
+            this.model = model;
+            const { metrics } = result;
+            this.trainingCurves.summary = result.trainingSummary;
+            this.updateTrainingCurvesChart();
             
-            console.error('Training error:', error);
             this.updateStatus('trainingStatus', 
-                `⚠️ Training error: ${error.message}`,
-                'error'
+                `✅ ${this.model.describe()} ${describeTrainingSummary(result.trainingSummary)}. Return RMSE: ${(metrics.rmse * 100).toFixed(3)}%`,
+                'success'
             );
-        }
-    }
+            
+            // Show training metrics
+            this.showTrainingMetrics(metrics);
+            const testForecast = await this.compareBaselines();
+
+            const run = await this.logRun(runSetup, { status: 'completed', metrics, trainingSummary: result.trainingSummary, testForecast });
+            this.activeRun = run ? { model: this.model, id: run.id } : null;
+            
+        } catch (error) {
+            this.reportError('trainingStatus', error, 'Training');
+            if (runSetup) {
+                await this.logRun(runSetup, { status: 'failed', error: `${error.name || 'Error'}: ${error.message}` });
+            }
+        } finally {
+            this.isTraining = false;
+            progressBar.style.display = 'none';
+            this.setTrainingControls('idle');
+            // Прогноз доступен, только если в воркере действительно обученная модель
+            this.updateModelActions();
+        }
+    }
+
+    // Предыдущий прогон остаётся на графике пунктиром для сравнения
+    startTrainingCurves() {
+        if (this.trainingCurves && this.trainingCurves.epochs.length > 0) {
+            this.previousTrainingCurves = this.trainingCurves;
+        }
+        this.trainingCurves = {
+            label: this.model.describe(),
+            epochs: [],
+            loss: [],
+            val_loss: [],
+            mse: [],
+            val_mse: [],
+            learningRate: [],
+            summary: null
+        };
+        this.createTrainingCurvesChart();
+    }
+
+    recordTrainingEpoch(epoch, logs = {}) {
+        const curves = this.trainingCurves;
+        curves.epochs.push(epoch + 1);
+        ['loss', 'val_loss', 'mse', 'val_mse', 'learningRate'].forEach(key => {
+            curves[key].push(logs[key] ?? null);
+        });
+        this.updateTrainingCurvesChart();
+    }
+
+    createTrainingCurvesChart() {
+        this.destroyChart('trainingCurves');
+        const ctx = document.getElementById('trainingCurvesChart').getContext('2d');
+        const series = [
+            { key: 'loss', label: 'Train loss', color: '#ff6b81' },
+            { key: 'val_loss', label: 'Validation loss', color: '#90ee90' },
+            { key: 'mse', label: 'Train MSE', color: 'rgba(255, 204, 0, 0.8)' },
+            { key: 'val_mse', label: 'Validation MSE', color: 'rgba(100, 149, 237, 0.9)' }
+        ];
+        const datasets = series.map(({ key, label, color }) => ({
+            key,
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: 'transparent',
+            borderWidth: 1.5,
+            pointRadius: 2,
+            hidden: key.endsWith('mse') && this.model.config.loss === 'mse'
+        }));
+        if (this.previousTrainingCurves) {
+            [['loss', 'Previous train loss', '#ff6b81'], ['val_loss', 'Previous validation loss', '#90ee90']].forEach(([key, label, color]) => {
+                datasets.push({
+                    key,
+                    previous: true,
+                    label: `${label} (${this.previousTrainingCurves.label})`,
+                    data: this.previousTrainingCurves[key],
+                    borderColor: color,
+                    backgroundColor: 'transparent',
+                    borderWidth: 1,
+                    borderDash: [5, 4],
+                    pointRadius: 0
+                });
+            });
+        }
+
+        this.charts.trainingCurves = new Chart(ctx, {
+            type: 'line',
+            data: { labels: [], datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Loss per Epoch (normalized units)',
+                        color: '#ffccd5',
+                        font: { size: 14, weight: 'normal' }
+                    },
+                    legend: {
+                        labels: {
+                            color: '#ffccd5',
+                            font: { size: 11 }
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+                        titleColor: '#ffccd5',
+                        bodyColor: '#ffccd5',
+                        callbacks: {
+                            title: items => `Epoch ${items[0].label}`,
+                            label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(6)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Epoch', color: '#ffccd5', font: { size: 11 } },
+                        ticks: { color: '#ffccd5', font: { size: 10 } },
+                        grid: { color: 'rgba(255,255,255,0.05)', drawBorder: false }
+                    },
+                    y: {
+                        ticks: { color: '#ffccd5', font: { size: 10 } },
+                        grid: { color: 'rgba(255,255,255,0.05)', drawBorder: false }
+                    }
+                }
+            }
+        });
+    }
+
+    updateTrainingCurvesChart() {
+        const chart = this.charts.trainingCurves;
+        const curves = this.trainingCurves;
+        if (!chart || !curves) return;
+
+        const length = Math.max(curves.epochs.length, this.previousTrainingCurves?.epochs.length || 0);
+        chart.data.labels = Array.from({ length }, (_, i) => i + 1);
+        // Эпоха, чьи веса остались в модели, выделена крупной точкой
+        const weightsEpoch = curves.summary ? curves.summary.weightsEpoch : null;
+        chart.data.datasets.forEach(dataset => {
+            if (dataset.previous) return;
+            dataset.data = curves[dataset.key];
+            dataset.pointRadius = curves.epochs.map(epoch => (epoch === weightsEpoch ? 6 : 2));
+        });
+        chart.update('none');
+
+        const hasData = curves.epochs.length > 0;
+        document.getElementById('exportCurvesCsvBtn').disabled = !hasData;
+        document.getElementById('exportCurvesPngBtn').disabled = !hasData;
+    }
+
+    exportTrainingCurvesCsv() {
+        const curves = this.trainingCurves;
+        if (!curves) return;
+
+        const format = value => (value === null || value === undefined ? '' : value);
+        const rows = curves.epochs.map((epoch, i) => [
+            epoch,
+            format(curves.loss[i]),
+            format(curves.val_loss[i]),
+            format(curves.mse[i]),
+            format(curves.val_mse[i]),
+            format(curves.learningRate[i])
+        ].join(','));
+        const csv = ['epoch,loss,val_loss,mse,val_mse,learning_rate', ...rows].join('\n');
+        this.downloadFile('training-curves.csv', URL.createObjectURL(new Blob([csv], { type: 'text/csv' })));
+    }
+
+    downloadFile(fileName, href) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        if (href.startsWith('blob:')) {
+            setTimeout(() => URL.revokeObjectURL(href), 1000);
+        }
+    }
+
+    downloadText(fileName, text, type) {
+        this.downloadFile(fileName, URL.createObjectURL(new Blob([text], { type })));
+    }
+
+    // Имя файла: актив и последняя дата данных, например sp500-2024-06-28
+    exportPrefix() {
+        const asset = (this.dataLoader.activeAsset || 'data').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const dates = this.dataLoader.dateLabels;
+        return `${asset || 'data'}-${dates[dates.length - 1]}`;
+    }
+
+    // Снимок графика на непрозрачном фоне: у canvas Chart.js фон прозрачный, а подписи светлые
+    chartImage(canvasId) {
+        const chart = Chart.getChart(canvasId);
+        if (!chart) return null;
+        const canvas = document.createElement('canvas');
+        canvas.width = chart.canvas.width;
+        canvas.height = chart.canvas.height;
+        const context = canvas.getContext('2d');
+        context.fillStyle = REPORT_BACKGROUND;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(chart.canvas, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    exportChartPng(canvasId) {
+        const image = this.chartImage(canvasId);
+        if (!image) {
+            this.updateStatus('reportStatus', `Nothing to export: the ${CHART_EXPORTS[canvasId].title.toLowerCase()} chart is not drawn yet`, 'warning');
+            return;
+        }
+        this.downloadFile(`${this.exportPrefix()}-${CHART_EXPORTS[canvasId].file}.png`, image);
+    }
+
+    currentForecastRows() {
+        if (!this.predictions) return null;
+        const lastPrice = this.dataLoader.data[this.dataLoader.data.length - 1].price;
+        return forecastRows(this.predictions, this.predictionDates, lastPrice, this.predictionIntervals);
+    }
+
+    exportForecast(format) {
+        const rows = this.currentForecastRows();
+        if (!rows) return;
+        const fileName = `${this.exportPrefix()}-forecast.${format}`;
+        if (format === 'csv') {
+            this.downloadText(fileName, toCSV(rows), 'text/csv');
+        } else {
+            const { activeAsset, dateLabels, data } = this.dataLoader;
+            const json = {
+                asset: activeAsset,
+                model: this.model.describe(),
+                lastDate: dateLabels[dateLabels.length - 1],
+                lastPrice: data[data.length - 1].price,
+                forecast: rows
+            };
+            this.downloadText(fileName, JSON.stringify(json, null, 2), 'application/json');
+        }
+        this.updateStatus('reportStatus', `⬇️ ${rows.length}-day forecast saved as ${fileName}`, 'success');
+    }
+
+    exportInsights() {
+        const fileName = `${this.exportPrefix()}-insights.json`;
+        this.downloadText(fileName, JSON.stringify(this.dataLoader.getInsights(), null, 2), 'application/json');
+        this.updateStatus('reportStatus', `⬇️ Insights saved as ${fileName}`, 'success');
+    }
+
+    // Всё, что сейчас известно: модельные разделы — только для обученной модели,
+    // лидерборд и бэктест — только если они посчитаны этой же моделью
+    buildReport() {
+        const loader = this.dataLoader;
+        const hasModel = this.trainingClient.hasModel;
+        const charts = Object.entries(CHART_EXPORTS)
+            .map(([canvasId, { title }]) => ({ title, image: this.chartImage(canvasId) }))
+            .filter(chart => chart.image);
+        const strategy = this.strategyResults?.model === this.model ? this.strategyResults.results : null;
+
+        return {
+            title: `${loader.activeAsset} — Stock Predictor Report`,
+            generatedAt: new Date().toLocaleString(),
+            data: {
+                asset: loader.activeAsset,
+                source: loader.source,
+                rows: loader.data.length,
+                firstDate: loader.dateLabels[0],
+                lastDate: loader.dateLabels[loader.dateLabels.length - 1],
+                range: loader.dateRange,
+                limitTrainingToRange: loader.limitTrainingToRange
+            },
+            model: hasModel ? {
+                name: this.model.describe(),
+                windowSize: this.model.windowSize,
+                predictionHorizon: this.model.predictionHorizon,
+                features: loader.featureColumns,
+                scalerMethod: loader.scalerMethod,
+                config: this.model.config,
+                trainingSummary: this.model.trainingSummary
+            } : null,
+            metrics: hasModel ? this.model.metrics : null,
+            leaderboard: this.leaderboard?.model === this.model ? this.leaderboard.rows : null,
+            strategy: strategy ? {
+                period: `${strategy.dates[0]} → ${strategy.dates[strategy.dates.length - 1]}`,
+                strategy: strategy.strategy.metrics,
+                buyHold: strategy.buyHold.metrics
+            } : null,
+            insights: loader.getInsights(),
+            forecast: this.currentForecastRows(),
+            charts
+        };
+    }
+
+    // PDF — через печать браузера: отчёт открывается в новом окне и сразу вызывается диалог печати
+    exportReport(format) {
+        try {
+            const html = buildReportHTML(this.buildReport());
+            if (format === 'pdf') {
+                const reportWindow = window.open('', '_blank');
+                if (!reportWindow) {
+                    throw new Error('The browser blocked the report window. Allow pop-ups for this page, or export HTML and print it');
+                }
+                reportWindow.document.write(html);
+                reportWindow.document.close();
+                reportWindow.addEventListener('load', () => reportWindow.print());
+                this.updateStatus('reportStatus', '🖨 Report opened — choose "Save as PDF" in the print dialog', 'success');
+            } else {
+                const fileName = `${this.exportPrefix()}-report.html`;
+                this.downloadText(fileName, html, 'text/html');
+                this.updateStatus('reportStatus', `📄 Report saved as ${fileName}`, 'success');
+            }
+        } catch (error) {
+            this.reportError('reportStatus', error, 'Report export');
+        }
+    }
+
+    // state: 'idle' | 'running' | 'paused'
+    setTrainingControls(state) {
+        document.getElementById('trainBtn').disabled = state !== 'idle';
+        document.getElementById('trainPauseBtn').disabled = state !== 'running';
+        document.getElementById('trainResumeBtn').disabled = state !== 'paused';
+        document.getElementById('trainCancelBtn').disabled = state === 'idle';
+    }
 
     showTrainingMetrics(metrics) {
         const metricsContainer = document.getElementById('metricsContainer');
+        const pct = (value, digits) => (value === undefined || isNaN(value) ? 'N/A' : (value * 100).toFixed(digits) + '%');
         const trainingMetrics = [
-            { label: '🎯 Test RMSE', value: metrics.rmse.toFixed(6) },
-            { label: '📊 Test MSE', value: metrics.mse.toFixed(6) },
-            { label: '⚡ Model Status', value: 'Trained' },
-            { label: '📈 Return Error', value: (metrics.rmse * 100).toFixed(4) + '%' }
+            { label: '🎯 Test RMSE (return)', value: pct(metrics.rmse, 3) },
+            { label: '📏 Test MAE (return)', value: pct(metrics.mae, 3) },
+            { label: '🧭 Hit Rate', value: pct(metrics.hitRate, 1) },
+            { label: '📐 R²', value: metrics.r2 === undefined || isNaN(metrics.r2) ? 'N/A' : metrics.r2.toFixed(4) },
+            { label: '💵 Price MAPE', value: pct(metrics.mape, 2) },
+            { label: '📊 Normalized MSE', value: metrics.mse.toFixed(6) },
+            { label: '⚡ Model Status', value: 'Trained' }
         ];
         
         trainingMetrics.forEach(metric => {
-            const card = document.createElement('div');
-            card.className = 'insight-card fade-in';
-            card.innerHTML = `
-                <div class="insight-value">${metric.value}</div>
-                <div class="insight-label">${metric.label}</div>
-            `;
-            metricsContainer.appendChild(card);
+            metricsContainer.appendChild(this.createInsightCard(metric.value, metric.label));
+        });
+
+        this.renderHorizonMetrics(metrics.horizon || []);
+    }
+
+    renderHorizonMetrics(steps) {
+        const container = document.getElementById('horizonMetricsContainer');
+        this.destroyChart('horizonMetrics');
+        container.innerHTML = '';
+        if (steps.length === 0) return;
+
+        const pct = (value, digits = 3) => (isNaN(value) ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+        container.innerHTML = `
+            <table class="results-table">
+                <tr><th>Horizon</th><th>RMSE</th><th>MAE</th><th>Hit rate</th><th>R²</th><th>Price MAPE</th></tr>
+                ${steps.map(step => `
+                    <tr>
+                        <td>Day +${step.step}</td>
+                        <td>${pct(step.rmse)}</td>
+                        <td>${pct(step.mae)}</td>
+                        <td>${pct(step.hitRate, 1)}</td>
+                        <td>${isNaN(step.r2) ? 'N/A' : step.r2.toFixed(4)}</td>
+                        <td>${pct(step.mape, 2)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+
+        const ctx = document.getElementById('horizonMetricsChart').getContext('2d');
+        this.charts.horizonMetrics = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: steps.map(step => `Day +${step.step}`),
+                datasets: [
+                    {
+                        label: 'RMSE (%)',
+                        data: steps.map(step => step.rmse * 100),
+                        backgroundColor: 'rgba(255, 107, 129, 0.6)',
+                        borderRadius: 2
+                    },
+                    {
+                        label: 'MAE (%)',
+                        data: steps.map(step => step.mae * 100),
+                        backgroundColor: 'rgba(100, 149, 237, 0.6)',
+                        borderRadius: 2
+                    },
+                    {
+                        type: 'line',
+                        label: 'Hit rate (%)',
+                        data: steps.map(step => step.hitRate * 100),
+                        yAxisID: 'y1',
+                        borderColor: '#90ee90',
+                        backgroundColor: 'transparent',
+                        borderWidth: 1.5,
+                        pointRadius: 3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Test Error by Forecast Horizon',
+                        color: '#ffccd5',
+                        font: { size: 14, weight: 'normal' }
+                    },
+                    legend: {
+                        labels: {
+                            color: '#ffccd5',
+                            font: { size: 11 }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#ffccd5', font: { size: 10 } },
+                        grid: { color: 'rgba(255,255,255,0.05)', drawBorder: false }
+                    },
+                    y: {
+                        ticks: {
+                            color: '#ffccd5',
+                            font: { size: 10 },
+                            callback: value => value.toFixed(2) + '%'
+                        },
+                        grid: { color: 'rgba(255,255,255,0.05)', drawBorder: false }
+                    },
+                    y1: {
+                        position: 'right',
+                        min: 0,
+                        max: 100,
+                        ticks: {
+                            color: '#90ee90',
+                            font: { size: 10 },
+                            callback: value => value + '%'
+                        },
+                        grid: { drawOnChartArea: false, drawBorder: false }
+                    }
+                }
+            }
         });
     }
 
+    // Возвращает прогнозы модели на тесте (в доходностях) — они же пишутся в журнал прогона
+    async compareBaselines() {
+        try {
+            this.updateStatus('leaderboardStatus', 'Scoring baselines on the test split...', 'info');
+
+            const predicted = await this.trainingClient.predict(this.dataLoader.X_test);
+            const modelPredictions = predicted.map(row => row.map(v => this.dataLoader.denormalize(v)));
+            const modelName = this.model.describe();
+            const samples = this.dataLoader.getRawSamples();
+            const rows = compareWithBaselines(samples, modelPredictions, modelName);
+
+            this.renderLeaderboard(rows);
+            this.leaderboard = { model: this.model, rows };
+            const rank = rows.findIndex(row => row.isModel) + 1;
+            this.updateStatus('leaderboardStatus',
+                `${modelName} ranks #${rank} of ${rows.length} by RMSE over ${rows[0].count} test forecasts (all ${this.dataLoader.predictionHorizon} horizon days)`,
+                rank === 1 ? 'success' : 'warning'
+            );
+            return { dates: samples.dates, predicted: modelPredictions, actual: samples.targets };
+        } catch (error) {
+            this.reportError('leaderboardStatus', error, 'Baseline comparison');
+            return null;
+        }
+    }
+
+    renderLeaderboard(rows) {
+        const container = document.getElementById('leaderboardContainer');
+        const pct = (value, digits = 4) => (isNaN(value) ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+        const num = (value, digits = 2) => (isNaN(value) ? '—' : value.toFixed(digits));
+
+        const body = rows.map((row, idx) => `
+            <tr class="${row.isModel ? 'highlight' : ''}">
+                <td>${idx + 1}</td>
+                <td style="text-align: left;">${row.name}</td>
+                <td>${pct(row.rmse)}</td>
+                <td>${pct(row.mae)}</td>
+                <td>${pct(row.hitRate, 1)}</td>
+                <td>${num(row.dm.stat)}</td>
+                <td>${num(row.dm.pValue, 3)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="results-table">
+                <tr>
+                    <th>#</th><th style="text-align: left;">Model</th><th>RMSE</th><th>MAE</th>
+                    <th>Directional acc.</th><th title="Negative: the model has lower squared error than the baseline">DM stat (model vs)</th><th>p-value</th>
+                </tr>
+                ${body}
+            </table>
+        `;
+    }
+
     async makePredictions() {
         try {
-            this.updateStatus('trainingStatus', 'Generating predictions...', 'info');
-            
-            const normalizedData = this.dataLoader.normalizedData;
-            const windowSize = this.model.windowSize;
-            
-            if (!normalizedData || normalizedData.length < windowSize) {
-                throw new Error('Not enough data');
+            if (!this.trainingClient.hasModel) {
+                throw new NotTrainedError('No trained model yet: train one or load a saved model before predicting');
             }
+            this.updateStatus('trainingStatus', 'Generating predictions...', 'info');
             
-            // Последнее окно данных
-            const lastWindow = normalizedData.slice(-windowSize);
-            const lastWindowFormatted = lastWindow.map(v => [v]);
-            const inputTensor = tf.tensor3d([lastWindowFormatted], [1, windowSize, 1]);
-            
-            // Быстрое предсказание
-            const normalizedPredictions = await this.model.predict(inputTensor);
-            inputTensor.dispose();
+            const { windowSize, predictionHorizon } = this.model;
+            const steps = Math.max(1, parseInt(document.getElementById('forecastDaysInput').value) || predictionHorizon);
             
-            // Денормализация
-            this.predictions = normalizedPredictions[0].map(p => 
-                this.dataLoader.denormalize(p)
+            // Дальше горизонта модели — рекурсивно, прогнозы дописываются в окно
+            const forecaster = new RecursiveForecaster(
+                this.dataLoader,
+                input => this.trainingClient.predict(input),
+                windowSize,
+                predictionHorizon
             );
+            const forecast = await forecaster.forecast(steps);
+            this.predictions = forecast.returns;
+            this.predictionDates = forecast.dates;
+            
+            // Интервалы: бутстрэп остатков теста вокруг точечного прогноза
+            const lastPrice = this.dataLoader.data[this.dataLoader.data.length - 1].price;
+            this.predictionIntervals = this.model.residuals
+                ? new ResidualBootstrap(this.model.residuals).simulate(this.predictions, lastPrice)
+                : null;
             
             // Показываем результаты
             this.displayPredictions();
             this.createReturnsComparisonChart();
+            this.updateExportControls();
+            this.attachForecastToRun();
             
-            this.updateStatus('trainingStatus', '✅ Predictions generated!', 'success');
+            document.getElementById('predictionsTitle').textContent = `🎯 ${steps}-Day Predictions`;
+            this.updateStatus('trainingStatus',
+                forecast.method === 'recursive'
+                    ? `✅ ${steps}-day forecast: first ${forecast.directSteps} days direct, the rest recursive (${forecast.dates[0]} → ${forecast.dates[steps - 1]})`
+                    : `✅ Predictions generated for ${forecast.dates[0]} → ${forecast.dates[steps - 1]}`,
+                'success'
+            );
             
         } catch (error) {
-            this.updateStatus('trainingStatus', `⚠️ ${error.message}`, 'warning');
-            console.error('Prediction error:', error);
+            this.reportError('trainingStatus', error, 'Prediction');
         }
     }
 
@@ -484,16 +1763,25 @@ class StockPredictorApp {
         let currentPrice = lastPrice;
         
         this.predictions.forEach((pred, idx) => {
-            const day = idx + 1;
             const returnPct = pred * 100;
             const priceChange = currentPrice * pred;
             const newPrice = currentPrice + priceChange;
             
+            const range = this.predictionIntervals?.prices[idx];
+            const intervalDetails = range ? `
+                <div class="prediction-details prediction-interval">
+                    50%: $${range.p25.toFixed(2)} – $${range.p75.toFixed(2)}
+                </div>
+                <div class="prediction-details prediction-interval">
+                    90%: $${range.p5.toFixed(2)} – $${range.p95.toFixed(2)}
+                </div>
+            ` : '';
+            
             const card = document.createElement('div');
             card.className = 'prediction-card fade-in';
-            card.style.animationDelay = `${idx * 0.1}s`;
+            card.style.animationDelay = `${Math.min(idx, 20) * 0.05}s`;
             card.innerHTML = `
-                <div class="prediction-day">Day +${day}</div>
+                <div class="prediction-day">${this.formatTradingDate(this.predictionDates[idx])}</div>
                 <div class="prediction-value ${returnPct >= 0 ? 'positive' : 'negative'}">
                     ${returnPct.toFixed(3)}%
                 </div>
@@ -503,6 +1791,7 @@ class StockPredictorApp {
                 <div class="prediction-details">
                     Change: ${priceChange >= 0 ? '+' : ''}$${priceChange.toFixed(2)}
                 </div>
+                ${intervalDetails}
             `;
             
             container.appendChild(card);
@@ -510,6 +1799,16 @@ class StockPredictorApp {
         });
     }
 
+    formatTradingDate(isoDate) {
+        return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
     createReturnsComparisonChart() {
         const historicalData = this.dataLoader.getHistoricalData();
         if (!historicalData || !this.predictions) return;
@@ -524,9 +1823,10 @@ class StockPredictorApp {
         
         // Создаем комбинированный массив
         const allReturns = [...historicalReturns, ...predictionReturns];
+        // Доходность t относится к дате dateLabels[t + 1], поэтому хвосты рядов совпадают
         const allLabels = [
-            ...Array.from({ length: historicalReturns.length }, (_, i) => `H-${historicalReturns.length - i}`),
-            ...Array.from({ length: predictionReturns.length }, (_, i) => `P+${i + 1}`)
+            ...historicalData.dates.slice(-historicalReturns.length),
+            ...this.predictionDates
         ];
         
         // Цвета: исторические - один цвет, предсказания - другой
@@ -536,6 +1836,29 @@ class StockPredictorApp {
                 : 'rgba(144, 238, 144, 0.6)'
         );
         
+        // Веерные полосы 50% / 90% поверх прогнозной части
+        const intervals = this.predictionIntervals?.returns || [];
+        const bandData = key => [
+            ...Array(historicalReturns.length).fill(null),
+            ...intervals.map(q => q[key] * 100)
+        ];
+        const band = (label, key, fill, color) => ({
+            type: 'line',
+            label,
+            data: bandData(key),
+            borderColor: 'transparent',
+            backgroundColor: color,
+            fill,
+            pointRadius: 0,
+            tension: 0.2
+        });
+        const bandDatasets = intervals.length > 0 ? [
+            band('90% upper', 'p95', false, 'transparent'),
+            band('90% interval', 'p5', '-1', 'rgba(100, 149, 237, 0.15)'),
+            band('50% upper', 'p75', false, 'transparent'),
+            band('50% interval', 'p25', '-1', 'rgba(100, 149, 237, 0.35)')
+        ] : [];
+        
         this.charts.returnsComparison = new Chart(ctx, {
             type: 'bar',
             data: {
@@ -548,7 +1871,7 @@ class StockPredictorApp {
                     borderWidth: 0.5, // Очень тонкие границы
                     borderRadius: 2,
                     borderSkipped: false
-                }]
+                }, ...bandDatasets]
             },
             options: {
                 responsive: true,
@@ -561,7 +1884,12 @@ class StockPredictorApp {
                         font: { size: 14, weight: 'normal' }
                     },
                     legend: {
-                        display: false
+                        display: bandDatasets.length > 0,
+                        labels: {
+                            color: '#ffccd5',
+                            font: { size: 11 },
+                            filter: item => item.text.endsWith('interval')
+                        }
                     },
                     tooltip: {
                         backgroundColor: 'rgba(0, 0, 0, 0.7)',
@@ -569,8 +1897,12 @@ class StockPredictorApp {
                         bodyColor: '#ffccd5',
                         borderColor: '#ff6b81',
                         borderWidth: 1,
+                        filter: item => item.parsed.y !== null,
                         callbacks: {
                             label: function(context) {
+                                if (context.datasetIndex > 0) {
+                                    return `${context.dataset.label}: ${context.parsed.y.toFixed(3)}%`;
+                                }
                                 const isHistorical = context.dataIndex < historicalReturns.length;
                                 const type = isHistorical ? 'Historical' : 'Predicted';
                                 return `${type}: ${context.parsed.y.toFixed(3)}%`;
@@ -622,6 +1954,1072 @@ class StockPredictorApp {
         });
     }
 
+    async runWalkForward() {
+        if (this.isTraining) return;
+
+        const runBtn = document.getElementById('walkForwardBtn');
+        const cancelBtn = document.getElementById('walkForwardCancelBtn');
+        const resultsContainer = document.getElementById('walkForwardResults');
+
+        try {
+            this.isTraining = true;
+            runBtn.disabled = true;
+            cancelBtn.disabled = false;
+            resultsContainer.innerHTML = '';
+            this.destroyChart('walkForward');
+
+            this.backtester = new WalkForwardBacktester(this.dataLoader, {
+                windowSize: this.model.windowSize,
+                predictionHorizon: this.model.predictionHorizon,
+                mode: document.getElementById('wfMode').value,
+                refit: document.getElementById('wfRefit').value,
+                modelConfig: this.getModelConfig(),
+                folds: parseInt(document.getElementById('wfFolds').value) || 8,
+                epochs: parseInt(document.getElementById('wfEpochs').value) || 5
+            });
+
+            this.updateStatus('walkForwardStatus', '🔁 Running walk-forward backtest...', 'info');
+            const results = await this.backtester.run({
+                onFoldEnd: (fold, totalFolds) => {
+                    this.updateStatus('walkForwardStatus',
+                        `🔁 Fold ${fold.fold}/${totalFolds} (${fold.testFrom} → ${fold.testTo}) | ` +
+                        `RMSE: ${(fold.day1.rmse * 100).toFixed(3)}% | Hit rate: ${(fold.day1.hitRate * 100).toFixed(1)}%`,
+                        'info'
+                    );
+                }
+            });
+
+            this.renderWalkForwardResults(results);
+            this.createWalkForwardChart(results);
+
+            const { day1 } = results.aggregate;
+            this.updateStatus('walkForwardStatus',
+                `${results.cancelled ? '⏹ Cancelled after' : '✅ Completed'} ${results.folds.length} folds | ` +
+                `Out-of-sample Day +1 RMSE: ${(day1.rmse * 100).toFixed(3)}% | MAE: ${(day1.mae * 100).toFixed(3)}% | ` +
+                `Hit rate: ${(day1.hitRate * 100).toFixed(1)}%`,
+                results.cancelled ? 'warning' : 'success'
+            );
+        } catch (error) {
+            this.reportError('walkForwardStatus', error, 'Walk-forward backtest');
+        } finally {
+            this.isTraining = false;
+            runBtn.disabled = false;
+            cancelBtn.disabled = true;
+        }
+    }
+
+    renderWalkForwardResults(results) {
+        const container = document.getElementById('walkForwardResults');
+        const pct = (value, digits = 3) => (isNaN(value) ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+
+        const rows = results.folds.map(fold => `
+            <tr>
+                <td>${fold.fold}</td>
+                <td>${fold.trainFrom} → ${fold.trainTo}</td>
+                <td>${fold.testFrom} → ${fold.testTo}</td>
+                <td>${fold.day1.count}</td>
+                <td>${pct(fold.day1.rmse)}</td>
+                <td>${pct(fold.day1.mae)}</td>
+                <td>${pct(fold.day1.hitRate, 1)}</td>
+                <td>${pct(fold.allHorizons.rmse)}</td>
+            </tr>
+        `).join('');
+        const { day1 } = results.aggregate;
+
+        container.innerHTML = `
+            <table class="results-table">
+                <tr>
+                    <th>Fold</th><th>Train</th><th>Test</th><th>Samples</th>
+                    <th>RMSE (D+1)</th><th>MAE (D+1)</th><th>Hit rate (D+1)</th><th>RMSE (all days)</th>
+                </tr>
+                ${rows}
+                <tr class="highlight">
+                    <td>All</td><td></td><td></td><td>${day1.count}</td>
+                    <td>${pct(day1.rmse)}</td><td>${pct(day1.mae)}</td><td>${pct(day1.hitRate, 1)}</td><td></td>
+                </tr>
+            </table>
+        `;
+    }
+
+    createWalkForwardChart(results) {
+        this.destroyChart('walkForward');
+        if (results.forecasts.length === 0) return;
+
+        const ctx = document.getElementById('walkForwardChart').getContext('2d');
+        const forecasts = results.forecasts;
+        const foldColors = ['#90ee90', '#ffcc00'];
+
+        this.charts.walkForward = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: forecasts.map(f => f.date),
+                datasets: [
+                    {
+                        label: 'Realized Return',
+                        data: forecasts.map(f => f.actual * 100),
+                        borderColor: 'rgba(255, 107, 129, 0.5)',
+                        backgroundColor: 'transparent',
+                        borderWidth: 0.8,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'Forecast (Day +1)',
+                        data: forecasts.map(f => f.predicted * 100),
+                        // Чередование цвета по фолдам
+                        segment: {
+                            borderColor: context => foldColors[(forecasts[context.p0DataIndex].fold - 1) % foldColors.length]
+                        },
+                        borderColor: foldColors[0],
+                        backgroundColor: 'transparent',
+                        borderWidth: 1.2,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Out-of-Sample Forecast vs Realized Returns',
+                        color: '#ffccd5',
+                        font: { size: 14, weight: 'normal' }
+                    },
+                    legend: {
+                        labels: {
+                            color: '#ffccd5',
+                            font: { size: 11 }
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+                        titleColor: '#ffccd5',
+                        bodyColor: '#ffccd5',
+                        callbacks: {
+                            label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(3)}%`,
+                            footer: items => `Fold ${forecasts[items[0].dataIndex].fold}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { 
+                            color: '#ffccd5',
+                            font: { size: 10 },
+                            maxTicksLimit: 10
+                        },
+                        grid: { 
+                            color: 'rgba(255,255,255,0.05)',
+                            drawBorder: false
+                        }
+                    },
+                    y: {
+                        ticks: { 
+                            color: '#ffccd5',
+                            font: { size: 10 },
+                            callback: value => value.toFixed(1) + '%'
+                        },
+                        grid: { 
+                            color: 'rgba(255,255,255,0.05)',
+                            drawBorder: false
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Стратегия на прогнозах модели для тестовой части (вне выборки обучения)
+    async runStrategyBacktest() {
+        const runBtn = document.getElementById('strategyBtn');
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) ? fallback : value;
+        };
+
+        try {
+            runBtn.disabled = true;
+            this.updateStatus('strategyStatus', 'Scoring the test split and simulating the strategy...', 'info');
+
+            const predicted = await this.trainingClient.predict(this.dataLoader.X_test);
+            const forecasts = predicted.map(row => row.map(v => this.dataLoader.denormalize(v)));
+
+            const backtester = new StrategyBacktester({
+                mode: document.getElementById('strategyMode').value,
+                signal: document.getElementById('strategySignal').value,
+                sizing: document.getElementById('strategySizing').value,
+                // Пороги в форме заданы в процентах, издержки — в базисных пунктах
+                longThreshold: number('strategyLongThreshold', 0) / 100,
+                shortThreshold: number('strategyShortThreshold', 0) / 100,
+                size: number('strategySize', 1),
+                costBps: number('strategyCostBps', 5),
+                slippageBps: number('strategySlippageBps', 2)
+            });
+            const results = backtester.run(this.dataLoader.getRawSamples(), forecasts);
+
+            this.renderStrategyResults(results);
+            this.createStrategyChart(results);
+            this.strategyResults = { model: this.model, results };
+
+            const { strategy, buyHold } = results;
+            const beatsBuyHold = strategy.metrics.sharpe > buyHold.metrics.sharpe;
+            this.updateStatus('strategyStatus',
+                `${beatsBuyHold ? '✅' : '⚠️'} ${results.dates[0]} → ${results.dates[results.dates.length - 1]} | ` +
+                `Strategy Sharpe ${strategy.metrics.sharpe.toFixed(2)} vs buy & hold ${buyHold.metrics.sharpe.toFixed(2)} | ` +
+                `${strategy.metrics.trades} position changes`,
+                beatsBuyHold ? 'success' : 'warning'
+            );
+        } catch (error) {
+            this.reportError('strategyStatus', error, 'Strategy backtest');
+        } finally {
+            runBtn.disabled = !this.trainingClient.hasModel;
+        }
+    }
+
+    renderStrategyResults(results) {
+        const container = document.getElementById('strategyResults');
+        const pct = (value, digits = 2) => (isNaN(value) ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+        const num = (value, digits = 2) => (isNaN(value) ? '—' : value.toFixed(digits));
+
+        const rows = [
+            ['Total return', m => pct(m.totalReturn)],
+            ['CAGR', m => pct(m.cagr)],
+            ['Volatility (ann.)', m => pct(m.volatility)],
+            ['Sharpe', m => num(m.sharpe)],
+            ['Sortino', m => num(m.sortino)],
+            ['Max drawdown', m => pct(m.maxDrawdown)],
+            ['Turnover (per year)', m => `${num(m.turnover, 1)}×`],
+            ['Win rate (days in market)', m => pct(m.winRate, 1)],
+            ['Exposure', m => pct(m.exposure, 1)]
+        ].map(([label, format]) => `
+            <tr>
+                <td style="text-align: left;">${label}</td>
+                <td>${format(results.strategy.metrics)}</td>
+                <td>${format(results.buyHold.metrics)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="results-table">
+                <tr><th style="text-align: left;">Metric</th><th>Strategy</th><th>Buy &amp; hold*</th></tr>
+                ${rows}
+            </table>
+            <div class="chart-hint">* Buy &amp; hold starts in cash like the strategy and pays costs and slippage once, when it buys on the first day.</div>
+        `;
+    }
+
+    createStrategyChart(results) {
+        this.destroyChart('strategy');
+
+        const ctx = document.getElementById('strategyChart').getContext('2d');
+        const line = (label, data, color, yAxisID, extra = {}) => ({
+            label,
+            data,
+            borderColor: color,
+            backgroundColor: 'transparent',
+            borderWidth: 1.5,
+            pointRadius: 0,
+            yAxisID,
+            ...extra
+        });
+        const axisTicks = { color: '#ffccd5', font: { size: 10 } };
+        const grid = { color: 'rgba(255,255,255,0.05)', drawBorder: false };
+
+        this.charts.strategy = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: results.dates,
+                datasets: [
+                    line('Strategy Equity', results.strategy.equity, '#90ee90', 'equity'),
+                    line('Buy & Hold Equity', results.buyHold.equity, '#ffcc00', 'equity'),
+                    line('Strategy Drawdown', results.strategy.drawdown.map(d => -d * 100), 'rgba(255, 107, 129, 0.8)', 'drawdown',
+                        { fill: 'origin', backgroundColor: 'rgba(255, 107, 129, 0.15)', borderWidth: 1 }),
+                    line('Buy & Hold Drawdown', results.buyHold.drawdown.map(d => -d * 100), 'rgba(255, 204, 0, 0.5)', 'drawdown',
+                        { borderDash: [4, 3], borderWidth: 1 })
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Strategy vs Buy & Hold (growth of $1, net of costs)',
+                        color: '#ffccd5',
+                        font: { size: 14, weight: 'normal' }
+                    },
+                    legend: {
+                        labels: {
+                            color: '#ffccd5',
+                            font: { size: 11 }
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+                        titleColor: '#ffccd5',
+                        bodyColor: '#ffccd5',
+                        callbacks: {
+                            label: context => context.dataset.yAxisID === 'equity'
+                                ? `${context.dataset.label}: $${context.parsed.y.toFixed(3)}`
+                                : `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`,
+                            footer: items => `Position: ${results.positions[items[0].dataIndex].toFixed(2)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { ...axisTicks, maxTicksLimit: 10 },
+                        grid
+                    },
+                    equity: {
+                        position: 'left',
+                        // Верхние две трети — капитал, нижняя треть — просадки
+                        stack: 'strategy',
+                        stackWeight: 2,
+                        ticks: { ...axisTicks, callback: value => '$' + value.toFixed(2) },
+                        grid
+                    },
+                    drawdown: {
+                        position: 'left',
+                        stack: 'strategy',
+                        stackWeight: 1,
+                        max: 0,
+                        ticks: { ...axisTicks, callback: value => value.toFixed(0) + '%' },
+                        grid
+                    }
+                }
+            }
+        });
+    }
+
+    // Поиск идёт в модульном воркере; строки результатов приходят по одной
+    runHyperparameterSearch() {
+        if (this.isTraining || this.searchWorker) return;
+
+        const parseList = (id, parse) => document.getElementById(id).value
+            .split(/[,\s]+/)
+            .map(parse)
+            .filter(value => Number.isFinite(value) && value > 0);
+        const space = {
+            windowSize: parseList('hpWindowSizes', v => parseInt(v)),
+            predictionHorizon: parseList('hpHorizons', v => parseInt(v)),
+            units: parseList('hpUnits', v => parseInt(v)),
+            learningRate: parseList('hpLearningRates', v => parseFloat(v)),
+            epochs: parseList('hpEpochs', v => parseInt(v))
+        };
+
+        const runBtn = document.getElementById('searchBtn');
+        const cancelBtn = document.getElementById('searchCancelBtn');
+        const finish = () => {
+            this.searchWorker.terminate();
+            this.searchWorker = null;
+            runBtn.disabled = false;
+            cancelBtn.disabled = true;
+        };
+
+        this.searchRows = [];
+        this.searchBest = null;
+        this.renderSearchResults();
+        runBtn.disabled = true;
+        cancelBtn.disabled = false;
+        document.getElementById('searchApplyBtn').disabled = true;
+
+        this.searchWorker = new Worker(new URL('./search-worker.js', import.meta.url), { type: 'module' });
+        this.searchWorker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'trial') {
+                this.searchRows.push(message.row);
+                this.searchBest = this.findBestSearchRow();
+                this.renderSearchResults();
+                const best = this.searchBest;
+                this.updateStatus('searchStatus',
+                    `🔬 Trial ${message.row.trial}/${message.total} done` +
+                    (best ? ` | Best Day +1 RMSE so far: ${(best.day1.rmse * 100).toFixed(3)}% (trial ${best.trial})` : ''),
+                    'info'
+                );
+            } else if (message.type === 'done') {
+                finish();
+                const { best, cancelled, rows } = message.results;
+                document.getElementById('searchApplyBtn').disabled = !best;
+                this.updateStatus('searchStatus',
+                    `${cancelled ? '⏹ Cancelled after' : '✅ Completed'} ${rows.length} trials on ${message.backend}` +
+                    (best ? ` | Best: window ${best.params.windowSize}, horizon ${best.params.predictionHorizon}, ` +
+                        `${best.params.units} units, lr ${best.params.learningRate}, ${best.params.epochs} epochs` : ''),
+                    cancelled ? 'warning' : 'success'
+                );
+            } else if (message.type === 'error') {
+                finish();
+                this.reportError('searchStatus', deserializeError(message.error), 'Hyperparameter search');
+            }
+        };
+        this.searchWorker.onerror = (event) => {
+            finish();
+            this.reportError('searchStatus', new Error(event.message || 'Search worker failed'), 'Hyperparameter search');
+        };
+
+        this.updateStatus('searchStatus', '🔬 Starting hyperparameter search in a background worker...', 'info');
+        this.searchWorker.postMessage({
+            type: 'start',
+            series: HyperparameterSearch.seriesFrom(this.dataLoader),
+            options: {
+                strategy: document.getElementById('hpStrategy').value,
+                trials: parseInt(document.getElementById('hpTrials').value) || 10,
+                space,
+                modelConfig: this.getModelConfig()
+            }
+        });
+    }
+
+    findBestSearchRow() {
+        return this.searchRows
+            .filter(row => !row.error)
+            .reduce((best, row) => (!best || row.day1.rmse < best.day1.rmse ? row : best), null);
+    }
+
+    // Сортировка по клику на заголовок; повторный клик меняет направление
+    renderSearchResults() {
+        const container = document.getElementById('searchResults');
+        container.innerHTML = '';
+        if (this.searchRows.length === 0) return;
+
+        const pct = (value, digits = 3) => (value === undefined || isNaN(value) ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+        const columns = [
+            { key: 'trial', label: '#', value: row => row.trial },
+            { key: 'windowSize', label: 'Window', value: row => row.params.windowSize },
+            { key: 'predictionHorizon', label: 'Horizon', value: row => row.params.predictionHorizon },
+            { key: 'units', label: 'Units', value: row => row.params.units },
+            { key: 'learningRate', label: 'LR', value: row => row.params.learningRate },
+            { key: 'epochs', label: 'Epochs', value: row => row.params.epochs },
+            { key: 'day1Rmse', label: 'Val RMSE (D+1)', value: row => row.day1?.rmse, format: v => pct(v) },
+            { key: 'day1HitRate', label: 'Val hit rate (D+1)', value: row => row.day1?.hitRate, format: v => pct(v, 1) },
+            { key: 'allRmse', label: 'Val RMSE (all days)', value: row => row.allHorizons?.rmse, format: v => pct(v) },
+            { key: 'seconds', label: 'Time', value: row => row.seconds, format: v => `${v.toFixed(1)}s` }
+        ];
+
+        const { key, ascending } = this.searchSort;
+        const sortColumn = columns.find(column => column.key === key) || columns[0];
+        const sortValue = row => {
+            const value = sortColumn.value(row);
+            return value === undefined || isNaN(value) ? Infinity : value;
+        };
+        const rows = [...this.searchRows].sort((a, b) => (ascending ? 1 : -1) * (sortValue(a) - sortValue(b)));
+
+        const table = document.createElement('table');
+        table.className = 'results-table';
+        const headerRow = document.createElement('tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.className = 'sortable';
+            th.textContent = column.label + (column.key === key ? (ascending ? ' ▲' : ' ▼') : '');
+            th.addEventListener('click', () => {
+                this.searchSort = { key: column.key, ascending: column.key === key ? !ascending : true };
+                this.renderSearchResults();
+            });
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            if (row === this.searchBest) tr.className = 'highlight';
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                const value = column.value(row);
+                td.textContent = row.error && column.key === 'day1Rmse'
+                    ? `⚠️ ${row.error}`
+                    : value === undefined ? '—' : (column.format ? column.format(value) : value);
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+
+        container.appendChild(table);
+    }
+
+    // Переносит лучшую конфигурацию в форму обучения и пересобирает выборки под её окно и горизонт
+    applyBestSearchConfig() {
+        const best = this.searchBest;
+        if (!best || this.isTraining) return;
+
+        const { windowSize, predictionHorizon, units, learningRate, epochs } = best.params;
+        document.getElementById('epochs').value = epochs;
+        document.getElementById('modelUnits').value = units;
+        document.getElementById('modelLearningRate').value = learningRate;
+
+        this.model.dispose();
+        this.model = new SequenceForecaster(windowSize, predictionHorizon, this.dataLoader.featureCount, this.getModelConfig());
+        this.reprepareData();
+        this.updateStatus('searchStatus',
+            `✅ Applied trial ${best.trial}: window ${windowSize}, horizon ${predictionHorizon}. Retrain the model to use it.`,
+            'success'
+        );
+    }
+
+    async saveModel() {
+        if (!this.model.isTrained) return;
+
+        const nameInput = document.getElementById('modelNameInput');
+        try {
+            const range = this.dataLoader.data ? this.dataLoader.getTrainingDateRange() : null;
+            const entry = await this.registry.save(this.model, {
+                name: nameInput.value.trim() || null,
+                asset: this.dataLoader.activeAsset,
+                dateRange: range ? `${range.start} to ${range.end}` : null
+            });
+            nameInput.value = '';
+            this.renderRegistry();
+            this.updateStatus('registryStatus', `💾 Saved "${entry.name}"`, 'success');
+        } catch (error) {
+            this.reportError('registryStatus', error, 'Saving model');
+        }
+    }
+
+    async importModel(files) {
+        try {
+            const entry = await this.registry.importFiles(files);
+            this.renderRegistry();
+            this.updateStatus('registryStatus', `📂 Imported "${entry.name}"`, 'success');
+        } catch (error) {
+            this.reportError('registryStatus', error, 'Importing model');
+        }
+    }
+
+    // Загружает сохранённую версию и пересобирает выборки её окном, признаками и скейлерами
+    async useSavedModel(id) {
+        if (this.isTraining) return;
+
+        try {
+            const { model, entry } = await this.registry.load(id);
+            const { normalization } = model;
+            if (!normalization) {
+                model.dispose();
+                throw new Error('Saved model has no normalization parameters');
+            }
+
+            this.dataLoader.dispose();
+            try {
+                this.dataLoader.prepareData(
+                    model.windowSize,
+                    model.predictionHorizon,
+                    0.2,
+                    normalization.features,
+                    normalization.method,
+                    normalization
+                );
+            } catch (error) {
+                // Несовместимая версия: возвращаем выборки под текущую модель
+                model.dispose();
+                this.reprepareData();
+                throw error;
+            }
+
+            this.model.dispose();
+            this.model = model;
+            await this.trainingClient.loadModel(model);
+            this.predictions = null;
+            this.predictionDates = null;
+            this.predictionIntervals = null;
+            document.getElementById('scalerSelect').value = normalization.method;
+            this.renderModelConfig(model.config);
+            this.renderFeatureOptions();
+            this.updateModelActions();
+
+            const assetNote = entry.asset && entry.asset !== this.dataLoader.activeAsset
+                ? ` (trained on ${entry.asset}, applied to ${this.dataLoader.activeAsset})`
+                : '';
+            this.updateStatus('registryStatus', `✅ Using "${entry.name}"${assetNote}`, assetNote ? 'warning' : 'success');
+            this.updateStatus('trainingStatus', `📦 Loaded saved ${model.describe()} "${entry.name}" — ready to predict`, 'success');
+        } catch (error) {
+            this.reportError('registryStatus', error, 'Loading saved model');
+        }
+    }
+
+    renameSavedModel(id) {
+        const entry = this.registry.get(id);
+        const name = window.prompt('New name for this model version:', entry.name);
+        if (name === null) return;
+
+        try {
+            this.registry.rename(id, name);
+            this.renderRegistry();
+        } catch (error) {
+            this.reportError('registryStatus', error, 'Renaming model');
+        }
+    }
+
+    async deleteSavedModel(id) {
+        const entry = this.registry.get(id);
+        if (!window.confirm(`Delete saved model "${entry.name}"?`)) return;
+
+        try {
+            await this.registry.remove(id);
+            this.renderRegistry();
+            this.updateStatus('registryStatus', `🗑 Deleted "${entry.name}"`, 'info');
+        } catch (error) {
+            this.reportError('registryStatus', error, 'Deleting model');
+        }
+    }
+
+    async downloadSavedModel(id) {
+        try {
+            await this.registry.download(id);
+        } catch (error) {
+            this.reportError('registryStatus', error, 'Downloading model');
+        }
+    }
+
+    // Таблица версий; лучшая по RMSE подсвечена
+    renderRegistry() {
+        const container = document.getElementById('registryContainer');
+        const entries = this.registry.list();
+        container.innerHTML = '';
+        if (entries.length === 0) return;
+
+        const pct = (value, digits = 3) => (value === undefined || value === null || isNaN(value) ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+        const scored = entries.filter(entry => Number.isFinite(entry.metrics?.rmse));
+        const bestId = scored.length > 0
+            ? scored.reduce((best, entry) => (entry.metrics.rmse < best.metrics.rmse ? entry : best)).id
+            : null;
+
+        const table = document.createElement('table');
+        table.className = 'results-table';
+        table.innerHTML = `
+            <tr>
+                <th style="text-align: left;">Name</th><th style="text-align: left;">Asset</th><th>Trained on</th>
+                <th style="text-align: left;">Architecture</th><th>Window / Horizon</th><th style="text-align: left;">Features</th><th>Scaler</th>
+                <th>RMSE</th><th>Hit rate</th><th>Saved</th><th></th>
+            </tr>
+        `;
+
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            if (entry.id === bestId) row.className = 'highlight';
+
+            const cells = [
+                [entry.name, 'left'],
+                [entry.asset || '—', 'left'],
+                [entry.dateRange || '—'],
+                [entry.architecture || 'GRU 1×16', 'left'],
+                [`${entry.windowSize} / ${entry.predictionHorizon}`],
+                [(entry.features || []).join(', ') || '—', 'left'],
+                [entry.scalerMethod || '—'],
+                [pct(entry.metrics?.rmse)],
+                [pct(entry.metrics?.hitRate, 1)],
+                [new Date(entry.createdAt).toLocaleString()]
+            ];
+            cells.forEach(([text, align]) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (align) td.style.textAlign = align;
+                row.appendChild(td);
+            });
+
+            const actions = document.createElement('td');
+            [
+                ['▶ Use', () => this.useSavedModel(entry.id)],
+                ['✏️', () => this.renameSavedModel(entry.id), 'Rename'],
+                ['⬇️', () => this.downloadSavedModel(entry.id), 'Download'],
+                ['🗑', () => this.deleteSavedModel(entry.id), 'Delete']
+            ].forEach(([label, handler, title]) => {
+                const button = document.createElement('button');
+                button.className = 'asset-remove';
+                button.textContent = label;
+                if (title) button.title = title;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+            row.appendChild(actions);
+            table.appendChild(row);
+        });
+
+        container.appendChild(table);
+    }
+
+    // Условия прогона фиксируются до обучения: форма может измениться, пока идут эпохи
+    describeRunSetup(epochs) {
+        const loader = this.dataLoader;
+        return {
+            asset: loader.activeAsset,
+            dataHash: hashSeries(loader.dateLabels, loader.data.map(row => row.price)),
+            dataRange: loader.getTrainingDateRange(),
+            rows: loader.data.length,
+            windowSize: this.model.windowSize,
+            predictionHorizon: this.model.predictionHorizon,
+            features: [...loader.featureColumns],
+            scalerMethod: loader.scalerMethod,
+            config: { ...this.model.config },
+            architecture: this.model.describe(),
+            trainingOptions: this.getTrainingOptions(),
+            epochs
+        };
+    }
+
+    // Журнал не должен ломать обучение: ошибка записи уходит в диагностику
+    async logRun(setup, result) {
+        const { epochs, loss, val_loss, learningRate } = this.trainingCurves;
+        try {
+            const run = await this.experiments.add({ ...setup, ...result, curves: { epochs, loss, val_loss, learningRate } });
+            await this.refreshRuns();
+            return run;
+        } catch (error) {
+            this.reportError('runsStatus', error, 'Logging run');
+            return null;
+        }
+    }
+
+    // Прогноз вперёд — дополнение к тестовому: дописывается, только если его сделала модель этого прогона
+    async attachForecastToRun() {
+        if (!this.activeRun || this.activeRun.model !== this.model) return;
+        const { dateLabels, data } = this.dataLoader;
+        try {
+            await this.experiments.update(this.activeRun.id, {
+                forecast: {
+                    createdAt: new Date().toISOString(),
+                    lastDate: dateLabels[dateLabels.length - 1],
+                    lastPrice: data[data.length - 1].price,
+                    rows: this.currentForecastRows()
+                }
+            });
+            await this.refreshRuns();
+        } catch (error) {
+            this.reportError('runsStatus', error, 'Logging forecast');
+        }
+    }
+
+    async refreshRuns() {
+        try {
+            this.runs = await this.experiments.list();
+        } catch (error) {
+            this.runs = [];
+            this.reportError('runsStatus', error, 'Loading run log');
+        }
+        const ids = new Set(this.runs.map(run => run.id));
+        this.selectedRunIds.forEach(id => {
+            if (!ids.has(id)) this.selectedRunIds.delete(id);
+        });
+        this.renderRuns();
+    }
+
+    getRunFilter() {
+        return {
+            asset: document.getElementById('runsAssetFilter').value,
+            status: document.getElementById('runsStatusFilter').value,
+            search: document.getElementById('runsSearchInput').value,
+            championOnly: document.getElementById('runsChampionFilter').checked
+        };
+    }
+
+    // Таблица прогонов; чемпион подсвечен, отмеченные галочкой накладываются на графики сравнения
+    renderRuns() {
+        const assetFilter = document.getElementById('runsAssetFilter');
+        const selectedAsset = assetFilter.value;
+        const assets = [...new Set(this.runs.map(run => run.asset))].sort();
+        assetFilter.innerHTML = '<option value="">All assets</option>';
+        assets.forEach(asset => {
+            const option = document.createElement('option');
+            option.value = asset;
+            option.textContent = asset;
+            assetFilter.appendChild(option);
+        });
+        assetFilter.value = assets.includes(selectedAsset) ? selectedAsset : '';
+
+        const visible = filterRuns(this.runs, this.getRunFilter());
+        const container = document.getElementById('runsContainer');
+        container.innerHTML = '';
+        document.getElementById('runsClearLogBtn').disabled = this.runs.length === 0;
+
+        if (visible.length > 0) {
+            const pct = (value, digits = 3) => (value === undefined || value === null || isNaN(value) ? 'N/A' : `${(value * 100).toFixed(digits)}%`);
+            const table = document.createElement('table');
+            table.className = 'results-table';
+            table.innerHTML = `
+                <tr>
+                    <th></th><th style="text-align: left;">Run</th><th>Status</th><th style="text-align: left;">Asset</th><th>Data range</th><th>Data hash</th>
+                    <th style="text-align: left;">Architecture</th><th>Window / Horizon</th><th style="text-align: left;">Features</th><th>Epochs</th>
+                    <th>RMSE</th><th>MAE</th><th>Hit rate</th><th>Forecast</th><th>Logged</th><th></th>
+                </tr>
+            `;
+
+            visible.forEach(run => {
+                const row = document.createElement('tr');
+                if (run.champion) row.className = 'highlight';
+
+                const select = document.createElement('td');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = this.selectedRunIds.has(run.id);
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) {
+                        this.selectedRunIds.add(run.id);
+                    } else {
+                        this.selectedRunIds.delete(run.id);
+                    }
+                    this.renderRunComparison();
+                });
+                select.appendChild(checkbox);
+                row.appendChild(select);
+
+                const epochs = run.trainingSummary ? run.trainingSummary.epochsRun : run.curves.epochs.length;
+                const cells = [
+                    [`${run.champion ? '🏆 ' : ''}${run.name}`, 'left'],
+                    [run.status],
+                    [run.asset || '—', 'left'],
+                    [`${run.dataRange.start} → ${run.dataRange.end}`],
+                    [run.dataHash],
+                    [run.architecture, 'left'],
+                    [`${run.windowSize} / ${run.predictionHorizon}`],
+                    [(run.features || []).join(', ') || '—', 'left'],
+                    [`${epochs} / ${run.epochs}`],
+                    [pct(run.metrics?.rmse)],
+                    [pct(run.metrics?.mae)],
+                    [pct(run.metrics?.hitRate, 1)],
+                    [[
+                        run.testForecast ? `${run.testForecast.dates.length} test` : null,
+                        run.forecast ? `${run.forecast.rows.length} ahead` : null
+                    ].filter(Boolean).join(' + ') || '—'],
+                    [new Date(run.createdAt).toLocaleString()]
+                ];
+                cells.forEach(([text, align]) => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    if (align) td.style.textAlign = align;
+                    row.appendChild(td);
+                });
+                if (run.error) row.title = run.error;
+
+                const actions = document.createElement('td');
+                [
+                    [run.champion ? '☆' : '🏆', () => this.toggleChampion(run.id), run.champion ? 'Unmark champion' : 'Mark as champion'],
+                    ['🗑', () => this.deleteRun(run.id), 'Delete']
+                ].forEach(([label, handler, title]) => {
+                    const button = document.createElement('button');
+                    button.className = 'asset-remove';
+                    button.textContent = label;
+                    button.title = title;
+                    button.addEventListener('click', handler);
+                    actions.appendChild(button);
+                });
+                row.appendChild(actions);
+                table.appendChild(row);
+            });
+            container.appendChild(table);
+        }
+
+        this.updateStatus('runsStatus',
+            this.runs.length === 0
+                ? 'Every training run is logged here with its data, settings, loss curves, metrics and forecast'
+                : `${visible.length} of ${this.runs.length} runs shown • ${this.selectedRunIds.size} selected for comparison`,
+            'info'
+        );
+        this.renderRunComparison();
+    }
+
+    // Наложение кривых потерь и прогнозов отмеченных прогонов; сплошная линия — train, пунктир — validation
+    renderRunComparison() {
+        this.destroyChart('runsLoss');
+        this.destroyChart('runsForecast');
+        const selected = this.runs.filter(run => this.selectedRunIds.has(run.id));
+        if (selected.length === 0) return;
+
+        const color = run => RUN_COLORS[this.runs.indexOf(run) % RUN_COLORS.length];
+        const axisColor = { color: '#ffccd5', font: { size: 10 } };
+        const grid = { color: 'rgba(255,255,255,0.05)', drawBorder: false };
+        const options = (title, xLabel, format) => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                title: { display: true, text: title, color: '#ffccd5', font: { size: 14, weight: 'normal' } },
+                legend: { labels: { color: '#ffccd5', font: { size: 11 } } },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+                    titleColor: '#ffccd5',
+                    bodyColor: '#ffccd5',
+                    callbacks: { label: context => `${context.dataset.label}: ${format(context)}` }
+                }
+            },
+            scales: {
+                x: { title: { display: true, text: xLabel, color: '#ffccd5', font: { size: 11 } }, ticks: axisColor, grid },
+                y: { ticks: axisColor, grid }
+            }
+        });
+
+        const maxEpochs = Math.max(...selected.map(run => run.curves.epochs.length));
+        const lossDatasets = selected.flatMap(run => [
+            { label: `${run.name} train`, data: run.curves.loss, borderColor: color(run), borderWidth: 1.5, pointRadius: 0 },
+            { label: `${run.name} validation`, data: run.curves.val_loss, borderColor: color(run), borderWidth: 1, borderDash: [5, 4], pointRadius: 0 }
+        ]).filter(dataset => dataset.data.some(value => value !== null));
+        this.charts.runsLoss = new Chart(document.getElementById('runsLossChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: Array.from({ length: maxEpochs }, (_, i) => i + 1),
+                datasets: lossDatasets.map(dataset => ({ ...dataset, backgroundColor: 'transparent' }))
+            },
+            options: options('Loss per Epoch (normalized units)', 'Epoch', context => context.parsed.y.toFixed(6))
+        });
+
+        // Прогнозы на 1 день вперёд на тестовой части по датам; прогноз вперёд (если делали) — пунктиром после неё
+        const withForecast = selected.filter(run => run.testForecast || run.forecast);
+        if (withForecast.length === 0) return;
+        const datasets = [];
+        const reference = withForecast.find(run => run.testForecast);
+        if (reference) {
+            datasets.push({
+                label: `Actual (${reference.asset})`,
+                data: reference.testForecast.dates.map((date, i) => ({ x: date, y: reference.testForecast.actual[i][0] * 100 })),
+                borderColor: 'rgba(255, 255, 255, 0.35)',
+                borderWidth: 1,
+                pointRadius: 0
+            });
+        }
+        withForecast.forEach(run => {
+            if (run.testForecast) {
+                datasets.push({
+                    label: `${run.name} test forecast`,
+                    data: run.testForecast.dates.map((date, i) => ({ x: date, y: run.testForecast.predicted[i][0] * 100 })),
+                    borderColor: color(run),
+                    borderWidth: 1.5,
+                    pointRadius: 0
+                });
+            }
+            if (run.forecast) {
+                datasets.push({
+                    label: `${run.name} forecast from ${run.forecast.lastDate}`,
+                    data: run.forecast.rows.map(row => ({ x: row.date, y: row.predictedReturn * 100 })),
+                    borderColor: color(run),
+                    borderWidth: 1.5,
+                    borderDash: [5, 4],
+                    pointRadius: 2
+                });
+            }
+        });
+        const labels = [...new Set(datasets.flatMap(dataset => dataset.data.map(point => point.x)))].sort();
+        this.charts.runsForecast = new Chart(document.getElementById('runsForecastChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: datasets.map(dataset => ({ ...dataset, backgroundColor: 'transparent', spanGaps: true }))
+            },
+            options: options('Next-Day Return Forecasts (%)', 'Date', context => `${context.parsed.y.toFixed(3)}%`)
+        });
+    }
+
+    async toggleChampion(id) {
+        const run = this.runs.find(item => item.id === id);
+        try {
+            await this.experiments.setChampion(id, !run.champion);
+            await this.refreshRuns();
+            this.updateStatus('runsStatus',
+                run.champion ? `${run.name} is no longer the ${run.asset} champion` : `🏆 ${run.name} is now the ${run.asset} champion`,
+                'success'
+            );
+        } catch (error) {
+            this.reportError('runsStatus', error, 'Marking champion');
+        }
+    }
+
+    async deleteRun(id) {
+        const run = this.runs.find(item => item.id === id);
+        if (!window.confirm(`Delete ${run.name} from the run log?`)) return;
+        try {
+            await this.experiments.remove(id);
+            await this.refreshRuns();
+        } catch (error) {
+            this.reportError('runsStatus', error, 'Deleting run');
+        }
+    }
+
+    async clearRuns() {
+        if (!window.confirm(`Delete all ${this.runs.length} logged runs? Saved models are not affected.`)) return;
+        try {
+            await this.experiments.clear();
+            this.activeRun = null;
+            await this.refreshRuns();
+        } catch (error) {
+            this.reportError('runsStatus', error, 'Clearing run log');
+        }
+    }
+
+    // Прогноз, бэктест стратегии и сохранение — только для реально обученной модели
+    updateModelActions() {
+        const ready = this.trainingClient.hasModel && !this.isTraining;
+        ['predictBtn', 'strategyBtn', 'saveModelBtn'].forEach(id => {
+            document.getElementById(id).disabled = !ready;
+        });
+        this.updateExportControls();
+    }
+
+    // Прогноз выгружается только пока он есть; инсайты и отчёт — как только загружены данные
+    updateExportControls() {
+        const hasData = Boolean(this.dataLoader.data?.length);
+        document.getElementById('exportForecastCsvBtn').disabled = !this.predictions;
+        document.getElementById('exportForecastJsonBtn').disabled = !this.predictions;
+        ['exportInsightsJsonBtn', 'exportReportHtmlBtn', 'exportReportPdfBtn'].forEach(id => {
+            document.getElementById(id).disabled = !hasData;
+        });
+    }
+
+    // Ошибка в статусе операции и подробности (тип, подсказка, детали) в панели диагностики
+    reportError(statusId, error, context) {
+        console.error(`${context} error:`, error);
+        this.updateStatus(statusId, `⚠️ ${context}: ${error.message}`, 'error');
+        this.diagnostics.unshift({ ...describeError(error), context, time: new Date() });
+        this.diagnostics = this.diagnostics.slice(0, 20);
+        this.renderDiagnostics();
+    }
+
+    renderDiagnostics() {
+        const list = document.getElementById('diagnosticsList');
+        const count = this.diagnostics.length;
+        list.innerHTML = '';
+        document.getElementById('clearDiagnosticsBtn').disabled = count === 0;
+        this.updateStatus('diagnosticsStatus',
+            count === 0 ? 'No errors so far' : `${count} error${count === 1 ? '' : 's'} — latest first`,
+            count === 0 ? 'success' : 'error'
+        );
+
+        this.diagnostics.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'diagnostics-entry';
+
+            const meta = document.createElement('div');
+            meta.className = 'diagnostics-meta';
+            meta.textContent = `${entry.time.toLocaleTimeString()} • ${entry.context} • ${entry.type}`;
+            const message = document.createElement('div');
+            message.textContent = entry.message;
+            item.append(meta, message);
+
+            if (entry.hint) {
+                const hint = document.createElement('div');
+                hint.className = 'diagnostics-hint';
+                hint.textContent = `💡 ${entry.hint}`;
+                item.appendChild(hint);
+            }
+            if (entry.details && Object.keys(entry.details).length > 0) {
+                const details = document.createElement('div');
+                details.className = 'diagnostics-details';
+                details.textContent = JSON.stringify(entry.details);
+                item.appendChild(details);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    clearDiagnostics() {
+        this.diagnostics = [];
+        this.renderDiagnostics();
+    }
+
     updateStatus(elementId, message, type = 'info') {
         const element = document.getElementById(elementId);
         if (element) {
@@ -643,6 +3041,8 @@ class StockPredictorApp {
     dispose() {
         this.dataLoader.dispose();
         this.model.dispose();
+        this.trainingClient.terminate();
+        this.searchWorker?.terminate();
         // Уничтожаем все графики
         Object.keys(this.charts).forEach(chart => this.destroyChart(chart));
     }
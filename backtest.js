@@ -0,0 +1,139 @@
+// backtest.js (торговая стратегия по прогнозам модели: позиции, издержки, сравнение с buy & hold)
+import { mean } from './metrics.js';
+import { logger } from './logger.js';
+import { ShapeMismatchError, DataInsufficientError } from './errors.js';
+import { TRADING_DAYS, drawdownSeries, maxDrawdown, stdDev, equityCurve, cagr, sharpeRatio, sortinoRatio } from './performance.js';
+
+const STRATEGY_MODES = {
+    longShort: 'Long / flat / short',
+    longFlat: 'Long / flat'
+};
+
+const POSITION_SIZING = {
+    fixed: 'Fixed fraction',
+    signal: 'Scaled by forecast',
+    volTarget: 'Volatility target'
+};
+
+const DEFAULT_STRATEGY_OPTIONS = {
+    mode: 'longShort',
+    signal: 'day1',             // 'day1' | 'horizonMean' — прогноз на завтра или средний по горизонту
+    longThreshold: 0,           // покупаем, если прогноз доходности выше порога
+    shortThreshold: 0,          // продаём, если прогноз ниже −порога
+    sizing: 'fixed',            // ключ POSITION_SIZING
+    size: 1,                    // доля капитала (для signal / volTarget — максимальное плечо)
+    signalScale: 0.01,          // прогноз, при котором signal-позиция достигает size
+    targetVolatility: 0.15,     // годовая волатильность для volTarget
+    volLookback: 20,
+    costBps: 5,                 // комиссия за единицу оборота, б.п.
+    slippageBps: 2
+};
+
+class StrategyBacktester {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_STRATEGY_OPTIONS, ...options };
+        if (!STRATEGY_MODES[this.options.mode]) {
+            throw new Error(`Unknown strategy mode: ${this.options.mode}`);
+        }
+        if (!POSITION_SIZING[this.options.sizing]) {
+            throw new Error(`Unknown position sizing: ${this.options.sizing}`);
+        }
+    }
+
+    // samples — результат dataLoader.getRawSamples() (окна, цели, даты первого дня прогноза),
+    // predictions — денормализованные прогнозы модели для тех же выборок.
+    // Выборки идут подряд по дням, поэтому позиция на день t решается по окну, закрытому в t − 1.
+    run(samples, predictions) {
+        const { windows, targets, dates } = samples;
+        if (predictions.length !== targets.length) {
+            throw new ShapeMismatchError(`Got ${predictions.length} forecasts for ${targets.length} samples`, {
+                expected: targets.length,
+                actual: predictions.length
+            });
+        }
+        if (targets.length < 2) {
+            throw new DataInsufficientError('Need at least 2 out-of-sample days to backtest a strategy', {
+                required: 2,
+                available: targets.length
+            });
+        }
+
+        const realized = targets.map(row => row[0]);
+        const positions = predictions.map((row, i) => this.position(row, windows[i]));
+        const strategy = this.simulate(realized, positions);
+        // Бенчмарк, как и стратегия, стартует из кэша: один раз платит издержки и проскальзывание за вход
+        const buyHold = this.simulate(realized, realized.map(() => 1));
+
+        logger.log(`Strategy backtest: ${dates[0]} → ${dates[dates.length - 1]}, ` +
+            `CAGR ${(strategy.metrics.cagr * 100).toFixed(2)}% vs buy & hold ${(buyHold.metrics.cagr * 100).toFixed(2)}%`);
+
+        return {
+            options: { ...this.options },
+            dates,
+            forecasts: predictions.map(row => this.signal(row)),
+            positions,
+            strategy,
+            buyHold
+        };
+    }
+
+    signal(forecast) {
+        return this.options.signal === 'horizonMean' ? mean(forecast) : forecast[0];
+    }
+
+    position(forecast, window) {
+        const { mode, longThreshold, shortThreshold, sizing, size, signalScale, targetVolatility, volLookback } = this.options;
+        const expected = this.signal(forecast);
+
+        let direction = 0;
+        if (expected > longThreshold) direction = 1;
+        else if (expected < -shortThreshold && mode === 'longShort') direction = -1;
+        if (direction === 0) return 0;
+
+        if (sizing === 'signal') {
+            return direction * size * Math.min(Math.abs(expected) / signalScale, 1);
+        }
+        if (sizing === 'volTarget') {
+            const realizedVol = stdDev(window.slice(-volLookback)) * Math.sqrt(TRADING_DAYS);
+            return direction * (realizedVol > 0 ? Math.min(targetVolatility / realizedVol, size) : size);
+        }
+        return direction * size;
+    }
+
+    // Издержки и проскальзывание списываются с оборота в день изменения позиции
+    simulate(realized, positions) {
+        const costRate = (this.options.costBps + this.options.slippageBps) / 10000;
+        const turnover = positions.map((pos, i) => Math.abs(pos - (i > 0 ? positions[i - 1] : 0)));
+        const returns = realized.map((r, i) => positions[i] * r - turnover[i] * costRate);
+        const equity = equityCurve(returns);
+
+        return {
+            returns,
+            turnover,
+            equity: equity.slice(1),
+            drawdown: drawdownSeries(equity).slice(1),
+            metrics: this.summarize(returns, positions, turnover, equity)
+        };
+    }
+
+    summarize(returns, positions, turnover, equity) {
+        const inMarket = returns.filter((_, i) => positions[i] !== 0);
+        const years = returns.length / TRADING_DAYS;
+        return {
+            days: returns.length,
+            totalReturn: equity[equity.length - 1] - 1,
+            cagr: cagr(returns),
+            volatility: stdDev(returns) * Math.sqrt(TRADING_DAYS),
+            sharpe: sharpeRatio(returns),
+            sortino: sortinoRatio(returns),
+            maxDrawdown: maxDrawdown(equity),
+            // Годовой оборот в долях капитала (разворот из long в short — это 2)
+            turnover: turnover.reduce((a, b) => a + b, 0) / years,
+            trades: turnover.filter(t => t > 0).length,
+            exposure: inMarket.length / returns.length,
+            winRate: inMarket.length > 0 ? inMarket.filter(r => r > 0).length / inMarket.length : NaN
+        };
+    }
+}
+
+export { StrategyBacktester, STRATEGY_MODES, POSITION_SIZING, DEFAULT_STRATEGY_OPTIONS };
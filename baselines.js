@@ -0,0 +1,198 @@
+// baselines.js (простые эталонные прогнозы для сравнения с нейросетью)
+// Все прогнозисты работают с сырыми (ненормализованными) доходностями и теми же
+// окнами/горизонтом, что и prepareData.
+import { mean, summarize, dieboldMariano } from './metrics.js';
+
+class ZeroForecaster {
+    constructor(horizon) {
+        this.name = 'Zero return';
+        this.horizon = horizon;
+    }
+
+    fit() {
+        return this;
+    }
+
+    predict() {
+        return Array(this.horizon).fill(0);
+    }
+}
+
+class MeanForecaster {
+    constructor(horizon) {
+        this.name = 'Historical mean';
+        this.horizon = horizon;
+        this.value = 0;
+    }
+
+    // Среднее по всем доходностям обучающей части
+    fit(returns) {
+        this.value = mean(returns);
+        return this;
+    }
+
+    predict() {
+        return Array(this.horizon).fill(this.value);
+    }
+}
+
+class LastValueForecaster {
+    constructor(horizon) {
+        this.name = 'Last value';
+        this.horizon = horizon;
+    }
+
+    fit() {
+        return this;
+    }
+
+    predict(window) {
+        return Array(this.horizon).fill(window[window.length - 1]);
+    }
+}
+
+class EWMAForecaster {
+    constructor(horizon, span = 20) {
+        this.name = `EWMA (${span}d)`;
+        this.horizon = horizon;
+        this.alpha = 2 / (span + 1);
+    }
+
+    fit() {
+        return this;
+    }
+
+    predict(window) {
+        let value = window[0];
+        for (let i = 1; i < window.length; i++) {
+            value = this.alpha * window[i] + (1 - this.alpha) * value;
+        }
+        return Array(this.horizon).fill(value);
+    }
+}
+
+// AR(p) с константой, МНК через нормальные уравнения; многошаговый прогноз рекурсивный
+class ARForecaster {
+    constructor(horizon, order = 5) {
+        this.name = `AR(${order})`;
+        this.horizon = horizon;
+        this.order = order;
+        this.coefficients = null;
+    }
+
+    fit(returns) {
+        const p = this.order;
+        if (returns.length <= p + 1) {
+            throw new Error(`Not enough data to fit ${this.name}`);
+        }
+
+        const size = p + 1;
+        const xtx = Array.from({ length: size }, () => Array(size).fill(0));
+        const xty = Array(size).fill(0);
+        for (let t = p; t < returns.length; t++) {
+            // x = [1, r_{t-1}, ..., r_{t-p}]
+            const x = [1];
+            for (let lag = 1; lag <= p; lag++) x.push(returns[t - lag]);
+            for (let i = 0; i < size; i++) {
+                xty[i] += x[i] * returns[t];
+                for (let j = 0; j < size; j++) xtx[i][j] += x[i] * x[j];
+            }
+        }
+
+        this.coefficients = solveLinearSystem(xtx, xty);
+        return this;
+    }
+
+    predict(window) {
+        const history = [...window];
+        const result = [];
+        for (let step = 0; step < this.horizon; step++) {
+            let value = this.coefficients[0];
+            for (let lag = 1; lag <= this.order; lag++) {
+                value += this.coefficients[lag] * history[history.length - lag];
+            }
+            result.push(value);
+            history.push(value);
+        }
+        return result;
+    }
+}
+
+// Гаусс с выбором главного элемента; небольшая регуляризация против вырожденности
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row.map((v, j) => v + (i === j ? 1e-12 : 0)), vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+
+    const solution = Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * solution[k];
+        solution[row] = sum / a[row][row];
+    }
+    return solution;
+}
+
+function createBaselines(horizon) {
+    return [
+        new ZeroForecaster(horizon),
+        new MeanForecaster(horizon),
+        new LastValueForecaster(horizon),
+        new EWMAForecaster(horizon, 20),
+        new ARForecaster(horizon, 5)
+    ];
+}
+
+// Таблица лидеров: метрики по всем шагам горизонта и DM-статистика относительно модели.
+// samples: результат DataLoader.getRawSamples(), modelPredictions — в сырых доходностях.
+function compareWithBaselines(samples, modelPredictions, modelName = 'GRU') {
+    const { trainReturns, windows: testWindows, targets: testTargets } = samples;
+    const horizon = testTargets[0].length;
+    const actualFlat = testTargets.flat();
+    const sampleLoss = predictions => predictions.map((row, i) =>
+        mean(row.map((value, h) => (value - testTargets[i][h]) ** 2))
+    );
+    const modelLoss = sampleLoss(modelPredictions);
+
+    const rows = [{
+        name: modelName,
+        isModel: true,
+        ...summarize(actualFlat, modelPredictions.flat()),
+        dm: { stat: NaN, pValue: NaN }
+    }];
+
+    createBaselines(horizon).forEach(forecaster => {
+        forecaster.fit(trainReturns);
+        const predictions = testWindows.map(window => forecaster.predict(window));
+        rows.push({
+            name: forecaster.name,
+            isModel: false,
+            ...summarize(actualFlat, predictions.flat()),
+            dm: dieboldMariano(modelLoss, sampleLoss(predictions), horizon)
+        });
+    });
+
+    return rows.sort((a, b) => a.rmse - b.rmse);
+}
+
+export {
+    ZeroForecaster,
+    MeanForecaster,
+    LastValueForecaster,
+    EWMAForecaster,
+    ARForecaster,
+    createBaselines,
+    compareWithBaselines
+};
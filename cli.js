@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+// cli.js (командная строка: load / insights / train / evaluate / predict / backtest по локальному CSV)
+// Результат — JSON или CSV в stdout либо в файл --out; журнал модулей идёт в stderr и только с --verbose.
+import { writeFile } from 'node:fs/promises';
+import { StockPipeline } from './pipeline.js';
+import { describeError } from './errors.js';
+import { silentLogger, stderrLogger } from './logger.js';
+import { toCSV } from './report.js';
+
+const COMMANDS = {
+    load: 'Parse the CSV and report the cleaned series (CSV: date, price, return)',
+    insights: 'Risk, return and volatility statistics for the selected period',
+    train: 'Train a model and save it to --model (CSV: loss per epoch)',
+    evaluate: 'Score a saved model on the test split against baseline forecasts',
+    predict: 'Forecast the next --days trading days with a saved model',
+    backtest: 'Trade the saved model\'s test-split forecasts against buy & hold'
+};
+
+const USAGE = `Usage: stock-predictor <command> --csv <file> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, text]) => `  ${name.padEnd(10)}${text}`).join('\n')}
+
+Data:      --asset <name> --start <YYYY-MM-DD> --end <YYYY-MM-DD> --limit-training
+Samples:   --window 60 --horizon 5 --test-split 0.2 --features returns,rsi --scaler minmax
+Model:     --model <dir> --epochs 12 --type gru --layers 1 --units 16 --dropout 0
+           --optimizer sgd --lr 0.01 --loss mse
+Training:  --early-stopping --patience 5 --schedule constant --restore-best
+Forecast:  --days 5
+Strategy:  --mode longShort --signal day1 --long-threshold 0 --short-threshold 0 (in %)
+           --sizing fixed --size 1 --cost-bps 5 --slippage-bps 2
+Output:    --out <file.json|file.csv> --format json|csv --verbose`;
+
+// --key value и флаги без значения; первое позиционное — команда
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+        if (!token.startsWith('--')) {
+            args._.push(token);
+            continue;
+        }
+        const [key, inline] = token.slice(2).split('=', 2);
+        const next = argv[i + 1];
+        if (inline !== undefined) {
+            args[key] = inline;
+        } else if (next !== undefined && !next.startsWith('--')) {
+            args[key] = next;
+            i++;
+        } else {
+            args[key] = true;
+        }
+    }
+    return args;
+}
+
+function number(args, key, fallback) {
+    if (args[key] === undefined) return fallback;
+    const value = parseFloat(args[key]);
+    if (isNaN(value)) {
+        throw new Error(`--${key} expects a number, got "${args[key]}"`);
+    }
+    return value;
+}
+
+function modelConfig(args) {
+    const config = {
+        type: args.type,
+        layers: number(args, 'layers'),
+        units: number(args, 'units'),
+        dropout: number(args, 'dropout'),
+        optimizer: args.optimizer,
+        learningRate: number(args, 'lr'),
+        loss: args.loss
+    };
+    return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
+
+function trainingOptions(args) {
+    return {
+        earlyStopping: Boolean(args['early-stopping']),
+        patience: number(args, 'patience', 5),
+        schedule: args.schedule || 'constant',
+        restoreBest: Boolean(args['restore-best'])
+    };
+}
+
+// Пороги задаются в процентах, как в форме стратегии
+function strategyOptions(args) {
+    return {
+        mode: args.mode || 'longShort',
+        signal: args.signal || 'day1',
+        sizing: args.sizing || 'fixed',
+        longThreshold: number(args, 'long-threshold', 0) / 100,
+        shortThreshold: number(args, 'short-threshold', 0) / 100,
+        size: number(args, 'size', 1),
+        costBps: number(args, 'cost-bps', 5),
+        slippageBps: number(args, 'slippage-bps', 2)
+    };
+}
+
+// Каждая команда возвращает { json, rows }: rows — табличное представление для CSV
+const handlers = {
+    async load(pipeline, summary) {
+        const history = pipeline.dataLoader.getHistoricalData();
+        return {
+            json: { ...summary, parseReport: pipeline.dataLoader.getParseReport() },
+            rows: history.dates.map((date, i) => ({
+                date,
+                price: history.prices[i],
+                return: i > 0 ? history.returns[i - 1] : null
+            }))
+        };
+    },
+
+    async insights(pipeline) {
+        const insights = pipeline.insights();
+        return {
+            json: insights,
+            rows: Object.entries(insights).flatMap(([group, values]) =>
+                Object.entries(values).map(([metric, value]) => ({ group, metric, value })))
+        };
+    },
+
+    async train(pipeline, summary, args) {
+        const history = [];
+        const epochs = number(args, 'epochs', 12);
+        const result = await pipeline.train(epochs, modelConfig(args), trainingOptions(args), {
+            onEpochEnd: (epoch, logs) => {
+                history.push({ epoch: epoch + 1, ...logs });
+                process.stderr.write(`Epoch ${epoch + 1}/${epochs} loss ${logs.loss?.toFixed(6)}` +
+                    (logs.val_loss !== undefined ? ` val_loss ${logs.val_loss.toFixed(6)}` : '') + '\n');
+            }
+        });
+        const savedTo = await pipeline.saveModel(args.model || 'model');
+        return { json: { ...result, savedTo, history }, rows: history };
+    },
+
+    async evaluate(pipeline) {
+        const result = await pipeline.evaluate();
+        return {
+            json: result,
+            rows: result.leaderboard.map(({ name, isModel, count, rmse, mae, hitRate, dm }) => ({
+                name, isModel, count, rmse, mae, hitRate, dmStat: dm.stat, dmPValue: dm.pValue
+            }))
+        };
+    },
+
+    async predict(pipeline, summary, args) {
+        const result = await pipeline.predict(number(args, 'days', pipeline.options.predictionHorizon));
+        return {
+            json: result,
+            rows: result.forecast.map(({ date, return: value, price, interval }) => ({
+                date, return: value, price, ...(interval ? { p5: interval.p5, p25: interval.p25, p75: interval.p75, p95: interval.p95 } : {})
+            }))
+        };
+    },
+
+    async backtest(pipeline, summary, args) {
+        const result = await pipeline.backtest(strategyOptions(args));
+        const { strategy, buyHold } = result;
+        return {
+            json: {
+                options: result.options,
+                period: { start: result.dates[0], end: result.dates[result.dates.length - 1] },
+                strategy: strategy.metrics,
+                buyHold: buyHold.metrics
+            },
+            rows: result.dates.map((date, i) => ({
+                date,
+                forecast: result.forecasts[i],
+                position: result.positions[i],
+                strategyReturn: strategy.returns[i],
+                strategyEquity: strategy.equity[i],
+                strategyDrawdown: strategy.drawdown[i],
+                buyHoldReturn: buyHold.returns[i],
+                buyHoldEquity: buyHold.equity[i]
+            }))
+        };
+    }
+};
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const command = args._[0];
+    if (!command || args.help || !handlers[command]) {
+        console.error(command && !handlers[command] ? `Unknown command: ${command}\n\n${USAGE}` : USAGE);
+        return command && !args.help ? 1 : 0;
+    }
+    if (!args.csv) {
+        throw new Error('--csv <file> is required');
+    }
+    const format = args.format || (String(args.out || '').toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+    if (format !== 'json' && format !== 'csv') {
+        throw new Error(`Unknown output format: ${format}`);
+    }
+
+    const pipeline = new StockPipeline({
+        windowSize: number(args, 'window', 60),
+        predictionHorizon: number(args, 'horizon', 5),
+        testSplit: number(args, 'test-split', 0.2),
+        features: args.features ? String(args.features).split(',').map(key => key.trim()) : null,
+        scalerMethod: args.scaler || 'minmax',
+        logger: args.verbose ? stderrLogger : silentLogger
+    });
+
+    try {
+        const summary = await pipeline.load(args.csv, {
+            assetName: args.asset,
+            range: { start: args.start, end: args.end }
+        });
+        pipeline.dataLoader.limitTrainingToRange = Boolean(args['limit-training']);
+
+        // Команды, которым нужна модель, берут её из каталога --model
+        if (['evaluate', 'predict', 'backtest'].includes(command)) {
+            if (!args.model) {
+                throw new Error(`${command} needs --model <dir> with a model saved by train`);
+            }
+            await pipeline.loadModel(args.model);
+        }
+
+        const { json, rows } = await handlers[command](pipeline, summary, args);
+        const output = format === 'csv' ? toCSV(rows) : JSON.stringify(json, null, 2) + '\n';
+        if (args.out) {
+            await writeFile(args.out, output);
+            process.stderr.write(`Wrote ${command} ${format.toUpperCase()} to ${args.out}\n`);
+        } else {
+            process.stdout.write(output);
+        }
+        return 0;
+    } finally {
+        pipeline.dispose();
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        const { type, message, hint } = describeError(error);
+        console.error(`${type}: ${message}`);
+        if (hint) console.error(`Hint: ${hint}`);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,303 @@
+// csv-parser.js (автоопределение диалекта CSV)
+// При равном счёте побеждает более ранний: запятая часто встречается внутри чисел
+const DELIMITERS = ['\t', ';', ','];
+
+// Порядок важен: первый подходящий столбец становится ценой по умолчанию
+const PRICE_COLUMN_PRIORITY = ['adj close', 'adj_close', 'adjclose', 'close', 'price', 'last', 'value'];
+const OHLCV_FIELDS = {
+    open: ['open'],
+    high: ['high'],
+    low: ['low'],
+    close: ['close'],
+    volume: ['volume', 'vol']
+};
+
+const DATE_FORMATS = [
+    { name: 'YYYY-MM-DD', regex: /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/, order: ['y', 'm', 'd'] },
+    { name: 'YYYY/MM/DD', regex: /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/, order: ['y', 'm', 'd'] },
+    { name: 'DD.MM.YYYY', regex: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: ['d', 'm', 'y'] },
+    { name: 'MM/DD/YYYY', regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['m', 'd', 'y'] },
+    { name: 'DD/MM/YYYY', regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['d', 'm', 'y'] },
+    { name: 'DD-MM-YYYY', regex: /^(\d{1,2})-(\d{1,2})-(\d{4})$/, order: ['d', 'm', 'y'] }
+];
+
+const SAMPLE_SIZE = 50;
+
+class CSVParser {
+    constructor(options = {}) {
+        this.options = {
+            delimiter: 'auto',
+            decimal: 'auto',
+            dateFormat: 'auto',
+            priceColumn: null,
+            ...options
+        };
+    }
+
+    parse(content) {
+        const text = content.replace(/^\uFEFF/, '');
+        const lines = text.split(/\r\n|\n|\r/);
+
+        const delimiter = this.options.delimiter === 'auto' ? this.detectDelimiter(lines) : this.options.delimiter;
+        const table = [];
+        lines.forEach((line, index) => {
+            if (line.trim()) {
+                table.push({ line: index + 1, fields: this.splitLine(line, delimiter) });
+            }
+        });
+
+        if (table.length < 2) {
+            throw new Error('CSV file has less than 2 lines (header + data)');
+        }
+
+        const dateFormat = this.options.dateFormat === 'auto'
+            ? this.detectDateFormat(table.slice(0, SAMPLE_SIZE + 1), 0)
+            : DATE_FORMATS.find(format => format.name === this.options.dateFormat) || null;
+
+        const hasHeader = this.detectHeader(table[0].fields, dateFormat);
+        const columns = hasHeader
+            ? table[0].fields.map((name, i) => name.trim() || `Column ${i + 1}`)
+            : table[0].fields.map((_, i) => `Column ${i + 1}`);
+        const body = hasHeader ? table.slice(1) : table;
+
+        const dateColumn = this.findDateColumn(columns, body);
+        const decimal = this.options.decimal === 'auto' ? this.detectDecimal(body, delimiter, dateColumn) : this.options.decimal;
+        const numericColumns = this.findNumericColumns(columns, body, dateColumn, decimal);
+        const priceColumn = this.resolvePriceColumn(columns, numericColumns);
+        const format = dateFormat && dateColumn === 0 ? dateFormat : this.detectDateFormat(body.slice(0, SAMPLE_SIZE), dateColumn);
+
+        if (!format) {
+            throw new Error(`Could not detect a date format in column "${columns[dateColumn]}"`);
+        }
+
+        const fieldIndices = {};
+        Object.entries(OHLCV_FIELDS).forEach(([field, aliases]) => {
+            const idx = columns.findIndex(name => aliases.includes(name.trim().toLowerCase()));
+            if (idx !== -1) fieldIndices[field] = idx;
+        });
+
+        const report = {
+            delimiter,
+            decimal,
+            dateFormat: format.name,
+            hasHeader,
+            columns,
+            numericColumns: numericColumns.map(i => columns[i]),
+            dateColumn: columns[dateColumn],
+            priceColumn: columns[priceColumn],
+            totalRows: body.length,
+            validRows: 0,
+            duplicateDates: 0,
+            skipped: []
+        };
+
+        const rows = [];
+        const seen = new Set();
+        body.forEach(({ line, fields }) => {
+            const raw = fields.join(delimiter);
+            const date = this.parseDateValue(fields[dateColumn], format);
+            if (!date) {
+                report.skipped.push({ line, reason: 'Invalid date', raw });
+                return;
+            }
+
+            const price = this.parseNumber(fields[priceColumn], decimal);
+            if (isNaN(price) || price <= 0) {
+                report.skipped.push({ line, reason: 'Invalid price', raw });
+                return;
+            }
+
+            if (seen.has(date)) {
+                report.duplicateDates++;
+                report.skipped.push({ line, reason: 'Duplicate date', raw });
+                return;
+            }
+            seen.add(date);
+
+            const row = { date, price };
+            Object.entries(fieldIndices).forEach(([field, idx]) => {
+                const value = this.parseNumber(fields[idx], decimal);
+                if (!isNaN(value)) row[field] = value;
+            });
+            rows.push(row);
+        });
+
+        report.validRows = rows.length;
+        return { rows, report };
+    }
+
+    detectDelimiter(lines) {
+        const sample = lines.filter(line => line.trim()).slice(0, SAMPLE_SIZE);
+        let best = ';';
+        let bestScore = 0;
+
+        DELIMITERS.forEach(delimiter => {
+            const counts = sample.map(line => this.splitLine(line, delimiter).length);
+            const columns = counts[0];
+            if (columns < 2) return;
+            // Доля строк с тем же числом полей, что и в первой строке
+            const consistency = counts.filter(count => count === columns).length / counts.length;
+            const score = consistency * columns;
+            if (score > bestScore) {
+                bestScore = score;
+                best = delimiter;
+            }
+        });
+
+        return best;
+    }
+
+    splitLine(line, delimiter) {
+        const fields = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                fields.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        fields.push(current.trim());
+
+        return fields;
+    }
+
+    detectHeader(fields, dateFormat) {
+        // Заголовок — если в первой строке нет ни даты, ни числа
+        return !fields.some(field => (dateFormat && this.parseDateValue(field, dateFormat)) || this.isNumeric(field));
+    }
+
+    findDateColumn(columns, body) {
+        const named = columns.findIndex(name => /date|time|дата/i.test(name));
+        if (named !== -1) return named;
+
+        const sample = body.slice(0, SAMPLE_SIZE);
+        for (let col = 0; col < columns.length; col++) {
+            if (this.detectDateFormat(sample, col)) return col;
+        }
+        return 0;
+    }
+
+    detectDateFormat(rows, column) {
+        const values = rows.map(row => row.fields[column]).filter(Boolean);
+        if (values.length === 0) return null;
+
+        const candidates = DATE_FORMATS.filter(format => {
+            const matches = values.filter(value => this.parseDateValue(value, format)).length;
+            return matches > values.length / 2;
+        });
+
+        if (candidates.length === 0) return null;
+        // Для неоднозначного d/m vs m/d: если первое число > 12, это день
+        if (candidates.some(f => f.name === 'MM/DD/YYYY') && candidates.some(f => f.name === 'DD/MM/YYYY')) {
+            const dayFirst = values.some(value => parseInt(value.split('/')[0], 10) > 12);
+            return DATE_FORMATS.find(f => f.name === (dayFirst ? 'DD/MM/YYYY' : 'MM/DD/YYYY'));
+        }
+        return candidates[0];
+    }
+
+    parseDateValue(value, format) {
+        if (!value || !format) return null;
+        const match = format.regex.exec(value.trim());
+        if (!match) return null;
+
+        const parts = {};
+        format.order.forEach((key, i) => { parts[key] = parseInt(match[i + 1], 10); });
+        if (parts.m < 1 || parts.m > 12 || parts.d < 1 || parts.d > 31) return null;
+
+        const date = new Date(Date.UTC(parts.y, parts.m - 1, parts.d));
+        if (date.getUTCDate() !== parts.d) return null;
+
+        // Нормализуем в ISO (YYYY-MM-DD), чтобы даты сортировались и сравнивались как строки
+        return date.toISOString().slice(0, 10);
+    }
+
+    detectDecimal(body, delimiter, dateColumn) {
+        if (delimiter === ',') return '.';
+
+        const values = [];
+        body.slice(0, SAMPLE_SIZE).forEach(({ fields }) => {
+            fields.forEach((field, i) => { if (i !== dateColumn) values.push(field); });
+        });
+        // 1.234,5 — тоже десятичная запятая (точки разделяют тысячи), 1,234.5 — десятичная точка
+        const commaDecimals = values.filter(value => /^-?(\d+|\d{1,3}(\.\d{3})+),\d+$/.test(value)).length;
+        const dotDecimals = values.filter(value => /^-?(\d+|\d{1,3}(,\d{3})+)\.\d+$/.test(value)).length;
+
+        return commaDecimals > dotDecimals ? ',' : '.';
+    }
+
+    parseNumber(value, decimal = '.') {
+        if (value === undefined || value === null) return NaN;
+        let cleaned = String(value).replace(/[\s$%]/g, '');
+        if (!cleaned || cleaned.toLowerCase() === 'null' || cleaned.toLowerCase() === 'nan') return NaN;
+
+        // Разделитель тысяч убирается только там, где он делит цифры на группы по три:
+        // иначе 1.234,5 при десятичной точке молча превратилось бы в 1.2345
+        const thousands = decimal === ',' ? '.' : ',';
+        const [integer, fraction, ...rest] = cleaned.split(decimal);
+        if (rest.length > 0) return NaN;
+        const grouped = new RegExp(`^-?\\d{1,3}(\\${thousands}\\d{3})+$`);
+        if (integer.includes(thousands) && !grouped.test(integer)) return NaN;
+        if (fraction !== undefined && fraction.includes(thousands)) return NaN;
+        cleaned = integer.split(thousands).join('') + (fraction !== undefined ? `.${fraction}` : '');
+
+        return /^-?\d*\.?\d+(e[-+]?\d+)?$/i.test(cleaned) ? parseFloat(cleaned) : NaN;
+    }
+
+    isNumeric(value) {
+        return !isNaN(this.parseNumber(value, '.')) || !isNaN(this.parseNumber(value, ','));
+    }
+
+    findNumericColumns(columns, body, dateColumn, decimal) {
+        const sample = body.slice(0, SAMPLE_SIZE);
+        return columns
+            .map((_, col) => col)
+            .filter(col => col !== dateColumn)
+            .filter(col => {
+                const numeric = sample.filter(({ fields }) => !isNaN(this.parseNumber(fields[col], decimal))).length;
+                return numeric > sample.length / 2;
+            });
+    }
+
+    resolvePriceColumn(columns, numericColumns) {
+        const requested = this.options.priceColumn;
+        if (requested !== null && requested !== undefined && requested !== '') {
+            const idx = typeof requested === 'number'
+                ? requested
+                : columns.findIndex(name => name.trim().toLowerCase() === String(requested).trim().toLowerCase());
+            if (idx < 0 || idx >= columns.length) {
+                throw new Error(`Price column "${requested}" not found. Available: ${columns.join(', ')}`);
+            }
+            return idx;
+        }
+
+        for (const name of PRICE_COLUMN_PRIORITY) {
+            const idx = numericColumns.find(col => columns[col].trim().toLowerCase() === name);
+            if (idx !== undefined) return idx;
+        }
+
+        const excluded = ['open', 'high', 'low', 'volume', 'vol'];
+        const fallback = numericColumns.find(col => !excluded.includes(columns[col].trim().toLowerCase()));
+        if (fallback !== undefined) return fallback;
+        if (numericColumns.length > 0) return numericColumns[0];
+
+        throw new Error('No numeric price column found in CSV');
+    }
+}
+
+export { CSVParser };
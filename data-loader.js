@@ -1,4 +1,33 @@
 // data-loader.js (оптимизированная версия)
+import { CSVParser } from './csv-parser.js';
+import { logger } from './logger.js';
+import { FeatureBuilder, DEFAULT_FEATURES, rollingVolatility } from './features.js';
+import { Scaler } from './scaler.js';
+import { DataInsufficientError, ShapeMismatchError } from './errors.js';
+import {
+    maxDrawdown as maxDrawdownOf,
+    drawdownSeries,
+    drawdownPeriods,
+    cagr,
+    sortinoRatio,
+    calmarRatio,
+    beta,
+    skewness,
+    excessKurtosis,
+    historicalVaR,
+    historicalCVaR,
+    parametricVaR,
+    parametricCVaR
+} from './performance.js';
+import {
+    DEFAULT_EWMA_LAMBDA,
+    ewmaVolatility,
+    fitGarch,
+    garchVolatility,
+    garchLongRunVolatility,
+    volatilityRegimes
+} from './volatility.js';
+
 class DataLoader {
     constructor() {
         this.data = null;
@@ -7,143 +36,330 @@ class DataLoader {
         this.y_train = null;
         this.X_test = null;
         this.y_test = null;
-        this.min = null;
-        this.max = null;
+        this.scalerMethod = 'minmax';
+        this.targetScaler = null;
+        this.featureScalers = [];
         this.dateLabels = [];
         this.returns = [];
         this.trainIndices = [];
         this.testIndices = [];
         this.dataUrl = 'https://raw.githubusercontent.com/buschevapoly-del/again/main/my_data.csv';
+        this.fallbackUrl = './my_data.csv';
+        this.source = null;
+        this.rawContent = null;
+        this.csvOptions = {};
+        this.parseReport = null;
+        this.assets = new Map();
+        this.commonDates = new Set();
+        this.activeAsset = null;
+        this.features = [...DEFAULT_FEATURES];
+        this.featureColumns = [];
+        this.featureCount = 1;
+        this.featureWarmup = 0;
+        this.normalizedFeatures = null;
+        this.windowSize = null;
+        this.predictionHorizon = null;
+        this.sampleStart = 0;
+        this.trainRange = null;
         this.insights = {};
+        // Безрисковая ставка (годовая доля), число периодов в году и бенчмарк для беты (имя актива)
+        this.riskSettings = { riskFreeRate: 0, periodsPerYear: 252, benchmark: null };
+        // Период анализа (ISO-даты включительно, null — вся история) и обучение только на нём
+        this.dateRange = null;
+        this.limitTrainingToRange = false;
+        // Окно скользящей волатильности, λ для EWMA и перцентиль для режима высокой волатильности
+        this.volatilitySettings = { window: 20, ewmaLambda: DEFAULT_EWMA_LAMBDA, regimePercentile: 0.9 };
+        this.garchFit = null;
     }
 
-    async loadCSVFromGitHub() {
+    async loadCSVFromGitHub(loadOptions = {}) {
         try {
-            console.log('Starting data load from:', this.dataUrl);
-            
-            // Добавляем временную метку для предотвращения кэширования
-            const timestamp = new Date().getTime();
-            const url = `${this.dataUrl}?t=${timestamp}`;
-            
-            const response = await fetch(url, {
-                cache: 'no-cache',
-                headers: {
-                    'Accept': 'text/csv',
-                    'Cache-Control': 'no-cache'
-                }
-            });
-            
-            if (!response.ok) {
-                console.error('HTTP error:', response.status, response.statusText);
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const content = await response.text();
-            console.log('Data loaded successfully, length:', content.length);
-            
-            if (!content || content.trim().length === 0) {
-                throw new Error('Empty CSV file received');
-            }
-            
-            this.parseCSV(content);
-            console.log('Data parsed successfully, rows:', this.data?.length || 0);
-            
-            if (!this.data || this.data.length === 0) {
-                throw new Error('No valid data found in CSV');
-            }
-            
-            return this.data;
+            const content = await this.fetchCSV(this.dataUrl, true);
+            return this.loadCSVFromText(content, 'GitHub', loadOptions);
         } catch (error) {
-            console.error('Error loading CSV:', error);
+            logger.warn('Remote load failed, falling back to bundled CSV:', error.message);
+        }
+
+        try {
+            const content = await this.fetchCSV(this.fallbackUrl, false);
+            return this.loadCSVFromText(content, 'Bundled my_data.csv', loadOptions);
+        } catch (error) {
+            logger.error('Error loading CSV:', error);
             throw new Error(`Failed to load data: ${error.message}`);
         }
     }
 
-    parseCSV(content) {
-        try {
-            console.log('Parsing CSV content...');
-            const lines = content.trim().split('\n');
-            console.log('Total lines in CSV:', lines.length);
-            
-            if (lines.length < 2) {
-                throw new Error('CSV file has less than 2 lines (header + data)');
-            }
-            
-            const parsedData = [];
-            this.dateLabels = [];
-            this.returns = [];
-
-            // Parse header
-            const header = lines[0].trim();
-            console.log('CSV Header:', header);
-
-            // Fast parsing with pre-allocated arrays
-            let validRows = 0;
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-
-                const parts = line.split(';');
-                if (parts.length >= 2) {
-                    const dateStr = parts[0].trim();
-                    const price = parseFloat(parts[1].trim());
-                    
-                    if (!isNaN(price) && price > 0) {
-                        parsedData.push({ date: dateStr, price: price });
-                        this.dateLabels.push(dateStr);
-                        validRows++;
-                    } else {
-                        console.warn('Skipping invalid row:', line);
-                    }
-                }
-            }
+    async fetchCSV(baseUrl, bustCache) {
+        logger.log('Starting data load from:', baseUrl);
 
-            console.log('Valid rows parsed:', validRows);
+        // Добавляем временную метку для предотвращения кэширования
+        const url = bustCache ? `${baseUrl}?t=${new Date().getTime()}` : baseUrl;
 
-            if (parsedData.length === 0) {
-                throw new Error('No valid data rows found');
+        const response = await fetch(url, {
+            cache: 'no-cache',
+            headers: {
+                'Accept': 'text/csv',
+                'Cache-Control': 'no-cache'
             }
+        });
+
+        if (!response.ok) {
+            logger.error('HTTP error:', response.status, response.statusText);
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
 
-            // Sort by date
-            parsedData.sort((a, b) => {
-                const dateA = this.parseDate(a.date);
-                const dateB = this.parseDate(b.date);
-                return dateA - dateB;
+        const content = await response.text();
+        logger.log('Data loaded successfully, length:', content.length);
+        return content;
+    }
+
+    async loadCSVFromFile(file, loadOptions = {}) {
+        if (!file) {
+            throw new Error('No file selected');
+        }
+
+        logger.log('Reading local file:', file.name, file.size);
+        const content = await file.text();
+        return this.loadCSVFromText(content, file.name, loadOptions);
+    }
+
+    async loadCSVFromClipboard(loadOptions = {}) {
+        if (!navigator.clipboard || !navigator.clipboard.readText) {
+            throw new Error('Clipboard access is not available in this browser');
+        }
+
+        const content = await navigator.clipboard.readText();
+        return this.loadCSVFromText(content, 'Clipboard', loadOptions);
+    }
+
+    // Единая точка входа: все источники проходят одну и ту же валидацию и расчёт инсайтов.
+    // loadOptions: { append, assetName, csvOptions }
+    loadCSVFromText(content, sourceName = 'Text', loadOptions = {}) {
+        const { append = false, assetName = null, csvOptions = {} } = loadOptions;
+
+        if (!content || content.trim().length === 0) {
+            throw new Error('Empty CSV file received');
+        }
+
+        const { rows, report } = this.parseCSV(content, csvOptions);
+        logger.log('Data parsed successfully, rows:', rows.length);
+
+        const name = (assetName && assetName.trim()) || this.deriveAssetName(sourceName);
+        const assets = new Map(append ? this.assets : []);
+        assets.set(name, {
+            name,
+            source: sourceName,
+            rows,
+            rawContent: content,
+            csvOptions: { ...csvOptions },
+            parseReport: report
+        });
+
+        // Выравниваем до того, как заменить текущий набор, чтобы ошибка не сломала состояние
+        this.commonDates = this.alignAssets(assets);
+        this.assets = assets;
+        this.selectAsset(name);
+
+        return this.data;
+    }
+
+    deriveAssetName(sourceName) {
+        if (sourceName === 'GitHub' || sourceName === 'Bundled my_data.csv') return 'S&P 500';
+        return sourceName.replace(/\.(csv|txt)$/i, '') || 'Asset';
+    }
+
+    parseCSV(content, options = {}) {
+        try {
+            logger.log('Parsing CSV content...');
+
+            const parser = new CSVParser(options);
+            const { rows, report } = parser.parse(content);
+
+            logger.log('CSV dialect:', {
+                delimiter: report.delimiter,
+                decimal: report.decimal,
+                dateFormat: report.dateFormat,
+                priceColumn: report.priceColumn
             });
-            
-            // Calculate returns efficiently
-            if (parsedData.length > 1) {
-                const returns = new Array(parsedData.length - 1);
-                for (let i = 1; i < parsedData.length; i++) {
-                    returns[i-1] = (parsedData[i].price - parsedData[i-1].price) / parsedData[i-1].price;
-                }
-                this.returns = returns;
-            }
+            logger.log('Valid rows parsed:', report.validRows, 'skipped:', report.skipped.length);
 
-            this.data = parsedData;
-            
-            // Calculate insights
-            this.calculateInsights();
-            
-            if (this.data.length < 65) {
-                console.warn(`Warning: Only ${this.data.length} days of data (need at least 65)`);
+            if (rows.length === 0) {
+                throw new Error('No valid data rows found');
             }
-            
-            console.log('CSV parsing completed successfully');
+
+            // Sort by date (даты уже нормализованы в ISO)
+            rows.sort((a, b) => this.parseDate(a.date) - this.parseDate(b.date));
+
+            logger.log('CSV parsing completed successfully');
+            return { rows, report };
             
         } catch (error) {
-            console.error('Error parsing CSV:', error);
+            logger.error('Error parsing CSV:', error);
             throw error;
         }
     }
 
+    // Общие даты для всех загруженных активов
+    alignAssets(assets = this.assets) {
+        let common = null;
+        assets.forEach(asset => {
+            const dates = new Set(asset.rows.map(row => row.date));
+            common = common ? new Set([...common].filter(date => dates.has(date))) : dates;
+        });
+
+        if (!common || common.size === 0) {
+            throw new Error('No overlapping dates between loaded assets');
+        }
+        if (assets.size > 1) {
+            logger.log(`Aligned ${assets.size} assets on ${common.size} common dates`);
+        }
+        return common;
+    }
+
+    selectAsset(name) {
+        const asset = this.assets.get(name);
+        if (!asset) {
+            throw new Error(`Unknown asset: ${name}`);
+        }
+
+        this.activeAsset = name;
+        this.source = asset.source;
+        this.rawContent = asset.rawContent;
+        this.csvOptions = asset.csvOptions;
+        this.parseReport = asset.parseReport;
+
+        this.data = asset.rows.filter(row => this.commonDates.has(row.date));
+        this.dateLabels = this.data.map(d => d.date);
+        this.returns = this.calculateReturns(this.data.map(d => d.price));
+
+        if (this.data.length === 0) {
+            throw new Error('No valid data found in CSV');
+        }
+
+        // Calculate insights
+        this.calculateInsights();
+
+        if (this.data.length < 65) {
+            logger.warn(`Warning: Only ${this.data.length} days of data (need at least 65)`);
+        }
+
+        return this.data;
+    }
+
+    removeAsset(name) {
+        if (this.assets.size <= 1) {
+            throw new Error('Cannot remove the only loaded asset');
+        }
+
+        const assets = new Map(this.assets);
+        assets.delete(name);
+        this.commonDates = this.alignAssets(assets);
+        this.assets = assets;
+
+        return this.selectAsset(this.activeAsset === name ? assets.keys().next().value : this.activeAsset);
+    }
+
+    getAssetNames() {
+        return [...this.assets.keys()];
+    }
+
+    calculateReturns(prices) {
+        // Calculate returns efficiently
+        if (prices.length < 2) return [];
+        const returns = new Array(prices.length - 1);
+        for (let i = 1; i < prices.length; i++) {
+            returns[i-1] = (prices[i] - prices[i-1]) / prices[i-1];
+        }
+        return returns;
+    }
+
+    // Бенчмарк для беты: выбранный актив, а если он не загружен или сейчас активен — первый другой
+    getBenchmarkName() {
+        const { benchmark } = this.riskSettings;
+        if (benchmark && benchmark !== this.activeAsset && this.assets.has(benchmark)) return benchmark;
+        return this.getAssetNames().find(name => name !== this.activeAsset) || null;
+    }
+
+    // Доходности бенчмарка на тех же датах: активы выровнены по commonDates
+    getBenchmarkReturns(name, dates) {
+        const prices = new Map(this.assets.get(name).rows.map(row => [row.date, row.price]));
+        return this.calculateReturns(dates.map(date => prices.get(date)));
+    }
+
+    getAlignedSeries() {
+        return this.getAssetNames().map(name => {
+            const rows = this.assets.get(name).rows.filter(row => this.commonDates.has(row.date));
+            const prices = rows.map(row => row.price);
+            return { name, dates: rows.map(row => row.date), prices, returns: this.calculateReturns(prices) };
+        });
+    }
+
+    // Динамика всех активов, приведённая к 100 на первую общую дату
+    getNormalizedPerformance() {
+        const series = this.getAlignedSeries();
+        if (series.length === 0) return null;
+
+        return {
+            dates: series[0].dates,
+            series: series.map(({ name, prices }) => ({
+                name,
+                values: prices.map(price => price / prices[0] * 100)
+            }))
+        };
+    }
+
+    getCorrelationMatrix() {
+        const series = this.getAlignedSeries();
+        const names = series.map(s => s.name);
+        const matrix = series.map(a => series.map(b => this.correlation(a.returns, b.returns)));
+        return { names, matrix };
+    }
+
+    correlation(a, b) {
+        const n = Math.min(a.length, b.length);
+        if (n < 2) return NaN;
+
+        const meanA = a.reduce((sum, v) => sum + v, 0) / n;
+        const meanB = b.reduce((sum, v) => sum + v, 0) / n;
+        let cov = 0;
+        let varA = 0;
+        let varB = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (a[i] - meanA) * (b[i] - meanB);
+            varA += (a[i] - meanA) ** 2;
+            varB += (b[i] - meanB) ** 2;
+        }
+        return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : NaN;
+    }
+
+    // Повторный разбор активного актива с другим столбцом цены
+    reparse(options = {}) {
+        if (!this.rawContent) {
+            throw new Error('No CSV loaded yet');
+        }
+        return this.loadCSVFromText(this.rawContent, this.source, {
+            append: true,
+            assetName: this.activeAsset,
+            csvOptions: { ...this.csvOptions, ...options }
+        });
+    }
+
+    getParseReport() {
+        return this.parseReport;
+    }
+
     calculateInsights() {
         if (!this.data || this.data.length === 0) return;
         
-        console.log('Calculating insights...');
+        logger.log('Calculating insights...');
         
-        const prices = this.data.map(d => d.price);
-        const returns = this.returns;
+        // Скользящие ряды считаются по всей истории (с прогревом до начала периода) и обрезаются
+        const [from, to] = this.getRangeIndices();
+        const allPrices = this.data.map(d => d.price);
+        const prices = allPrices.slice(from, to + 1);
+        const returns = this.returns.slice(from, to);
+        const dates = this.dateLabels.slice(from, to + 1);
+        const { riskFreeRate, periodsPerYear } = this.riskSettings;
         
         // 1. Basic Statistics
         const lastPrice = prices[prices.length - 1];
@@ -160,44 +376,35 @@ class DataLoader {
             meanReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
             variance = returns.reduce((sq, n) => sq + Math.pow(n - meanReturn, 2), 0) / returns.length;
             stdReturn = Math.sqrt(variance);
-            annualizedVolatility = stdReturn * Math.sqrt(252);
+            annualizedVolatility = stdReturn * Math.sqrt(periodsPerYear);
         }
         
-        // 3. Rolling Volatility (20-day)
-        const window = 20;
-        const rollingVolatilities = [];
-        if (returns.length >= window) {
-            for (let i = window; i <= returns.length; i++) {
-                const windowReturns = returns.slice(i - window, i);
-                const windowMean = windowReturns.reduce((a, b) => a + b, 0) / window;
-                const windowVar = windowReturns.reduce((sq, n) => sq + Math.pow(n - windowMean, 2), 0) / window;
-                rollingVolatilities.push(Math.sqrt(windowVar) * Math.sqrt(252));
-            }
-        }
+        // 3. Rolling Volatility: значение k закрывает доходность k + window − 1, т.е. дату k + window
+        const volWindow = this.volatilitySettings.window;
+        const volStart = Math.max(0, from - (volWindow - 1));
+        const rollingVolatilities = rollingVolatility(this.returns, volWindow, periodsPerYear)
+            .slice(volStart, Math.max(volStart, to - (volWindow - 1)));
+        const rollingVolatilityDates = this.dateLabels.slice(volStart + volWindow, volStart + volWindow + rollingVolatilities.length);
+        const volatilitySeries = this.calculateVolatilitySeries(from, to);
         
-        // 4. Trend Detection (Simple Moving Average Crossover)
-        const sma50 = this.calculateSMA(prices, 50);
-        const sma200 = this.calculateSMA(prices, 200);
+        // 4. Trend Detection (Simple Moving Average Crossover) на последний день периода
+        const sma50 = this.calculateSMA(allPrices, 50);
+        const sma200 = this.calculateSMA(allPrices, 200);
+        const smaAt = (sma, period) => (to - period + 1 >= 0 ? sma[to - period + 1] : undefined);
+        const lastSma50 = smaAt(sma50, 50);
+        const lastSma200 = smaAt(sma200, 200);
         let currentTrend = 'N/A';
-        if (sma50.length > 0 && sma200.length > 0) {
-            currentTrend = sma50[sma50.length - 1] > sma200[sma200.length - 1] ? 'Bullish' : 'Bearish';
+        if (lastSma50 !== undefined && lastSma200 !== undefined) {
+            currentTrend = lastSma50 > lastSma200 ? 'Bullish' : 'Bearish';
         }
         
         // 5. Maximum Drawdown
-        let maxDrawdown = 0;
-        if (prices.length > 0) {
-            let peak = prices[0];
-            for (let i = 1; i < prices.length; i++) {
-                if (prices[i] > peak) peak = prices[i];
-                const drawdown = (peak - prices[i]) / peak;
-                if (drawdown > maxDrawdown) maxDrawdown = drawdown;
-            }
-        }
-        
+        const maxDrawdown = maxDrawdownOf(prices);
+
         this.insights = {
             basic: {
-                totalDays: this.data.length,
-                dateRange: `${this.data[0].date} to ${this.data[this.data.length - 1].date}`,
+                totalDays: prices.length,
+                dateRange: `${dates[0]} to ${dates[dates.length - 1]}`,
                 firstPrice: firstPrice.toFixed(2),
                 lastPrice: lastPrice.toFixed(2),
                 totalReturn: (totalReturn * 100).toFixed(2) + '%',
@@ -207,31 +414,209 @@ class DataLoader {
                 meanDailyReturn: (meanReturn * 100).toFixed(4) + '%',
                 stdDailyReturn: (stdReturn * 100).toFixed(4) + '%',
                 annualizedVolatility: (annualizedVolatility * 100).toFixed(2) + '%',
-                sharpeRatio: (stdReturn > 0 ? (meanReturn / stdReturn * Math.sqrt(252)) : 0).toFixed(2),
+                sharpeRatio: (stdReturn > 0 ? ((meanReturn - riskFreeRate / periodsPerYear) / stdReturn * Math.sqrt(periodsPerYear)) : 0).toFixed(2),
                 positiveDays: (returns.length > 0 ? (returns.filter(r => r > 0).length / returns.length) * 100 : 0).toFixed(1) + '%'
             },
             trends: {
                 currentTrend: currentTrend,
-                sma50: sma50.length > 0 ? sma50[sma50.length - 1].toFixed(2) : 'N/A',
-                sma200: sma200.length > 0 ? sma200[sma200.length - 1].toFixed(2) : 'N/A',
-                aboveSMA200: sma200.length > 0 ? (lastPrice > sma200[sma200.length - 1] ? 'Yes' : 'No') : 'N/A',
-                trendStrength: sma200.length > 0 && sma200[sma200.length - 1] > 0 ? 
-                    Math.abs((sma50[sma50.length - 1] - sma200[sma200.length - 1]) / sma200[sma200.length - 1] * 100).toFixed(2) + '%' : 'N/A'
+                sma50: lastSma50 !== undefined ? lastSma50.toFixed(2) : 'N/A',
+                sma200: lastSma200 !== undefined ? lastSma200.toFixed(2) : 'N/A',
+                aboveSMA200: lastSma200 !== undefined ? (lastPrice > lastSma200 ? 'Yes' : 'No') : 'N/A',
+                trendStrength: lastSma200 !== undefined && lastSma200 > 0 ? 
+                    Math.abs((lastSma50 - lastSma200) / lastSma200 * 100).toFixed(2) + '%' : 'N/A'
             },
+            // Скользящая волатильность — годовая доля, в проценты переводится только при форматировании
             volatility: {
-                currentRollingVol: (rollingVolatilities.length > 0 ? rollingVolatilities[rollingVolatilities.length - 1] : 0).toFixed(2) + '%',
-                avgRollingVol: (rollingVolatilities.length > 0 ? rollingVolatilities.reduce((a, b) => a + b, 0) / rollingVolatilities.length : 0).toFixed(2) + '%',
-                maxRollingVol: (rollingVolatilities.length > 0 ? Math.max(...rollingVolatilities) : 0).toFixed(2) + '%',
-                minRollingVol: (rollingVolatilities.length > 0 ? Math.min(...rollingVolatilities) : 0).toFixed(2) + '%'
+                window: volWindow,
+                currentRollingVol: (rollingVolatilities.length > 0 ? rollingVolatilities[rollingVolatilities.length - 1] * 100 : 0).toFixed(2) + '%',
+                avgRollingVol: (rollingVolatilities.length > 0 ? rollingVolatilities.reduce((a, b) => a + b, 0) / rollingVolatilities.length * 100 : 0).toFixed(2) + '%',
+                maxRollingVol: (rollingVolatilities.length > 0 ? Math.max(...rollingVolatilities) * 100 : 0).toFixed(2) + '%',
+                minRollingVol: (rollingVolatilities.length > 0 ? Math.min(...rollingVolatilities) * 100 : 0).toFixed(2) + '%',
+                ...this.summarizeVolatilitySeries(volatilitySeries)
+            },
+            ...this.calculateRiskInsights(prices, returns, dates),
+            range: {
+                start: dates[0],
+                end: dates[dates.length - 1],
+                isFull: from === 0 && to === this.data.length - 1
             },
             rollingVolatilities: rollingVolatilities,
+            rollingVolatilityDates: rollingVolatilityDates,
+            volatilitySeries: volatilitySeries,
+            // SMA — по всей истории, выровнены по концу dateLabels (для графика цены)
             sma50: sma50,
             sma200: sma200
         };
         
-        console.log('Insights calculated:', this.insights.basic);
+        logger.log('Insights calculated:', this.insights.basic);
     }
     
+    // Хвостовые риски, риск-скорректированная доходность, форма распределения и эпизоды просадок
+    calculateRiskInsights(prices, returns, dates) {
+        const { riskFreeRate, periodsPerYear } = this.riskSettings;
+        const pct = (value, digits = 2) => (isFinite(value) ? (value * 100).toFixed(digits) + '%' : 'N/A');
+        const num = (value, digits = 2) => (isFinite(value) ? value.toFixed(digits) : 'N/A');
+        const enough = returns.length > 1;
+
+        const periods = drawdownPeriods(prices, dates);
+        const deepest = periods.reduce((worst, p) => (!worst || p.depth > worst.depth ? p : worst), null);
+        const longest = periods.reduce((worst, p) => (!worst || p.duration > worst.duration ? p : worst), null);
+        const current = periods.length > 0 && periods[periods.length - 1].recoveryDate === null
+            ? periods[periods.length - 1]
+            : null;
+        const recoveries = periods.filter(p => p.recoveryDuration !== null).map(p => p.recoveryDuration);
+        const benchmark = this.getBenchmarkName();
+        const assetBeta = benchmark && enough ? beta(returns, this.getBenchmarkReturns(benchmark, dates)) : NaN;
+
+        return {
+            tailRisk: {
+                historicalVaR95: enough ? pct(historicalVaR(returns, 0.95)) : 'N/A',
+                historicalCVaR95: enough ? pct(historicalCVaR(returns, 0.95)) : 'N/A',
+                historicalVaR99: enough ? pct(historicalVaR(returns, 0.99)) : 'N/A',
+                historicalCVaR99: enough ? pct(historicalCVaR(returns, 0.99)) : 'N/A',
+                parametricVaR95: enough ? pct(parametricVaR(returns, 0.95)) : 'N/A',
+                parametricCVaR95: enough ? pct(parametricCVaR(returns, 0.95)) : 'N/A',
+                parametricVaR99: enough ? pct(parametricVaR(returns, 0.99)) : 'N/A',
+                parametricCVaR99: enough ? pct(parametricCVaR(returns, 0.99)) : 'N/A'
+            },
+            riskAdjusted: {
+                riskFreeRate: pct(riskFreeRate),
+                periodsPerYear: periodsPerYear,
+                cagr: enough ? pct(cagr(returns, periodsPerYear)) : 'N/A',
+                sortinoRatio: enough ? num(sortinoRatio(returns, periodsPerYear, riskFreeRate)) : 'N/A',
+                calmarRatio: enough ? num(calmarRatio(returns, periodsPerYear)) : 'N/A',
+                benchmark: benchmark || 'N/A',
+                beta: num(assetBeta)
+            },
+            distribution: {
+                skewness: enough ? num(skewness(returns), 3) : 'N/A',
+                excessKurtosis: enough ? num(excessKurtosis(returns), 3) : 'N/A',
+                worstPeriod: enough ? pct(returns.reduce((a, b) => Math.min(a, b), Infinity)) : 'N/A',
+                bestPeriod: enough ? pct(returns.reduce((a, b) => Math.max(a, b), -Infinity)) : 'N/A'
+            },
+            drawdowns: {
+                maxDrawdownPeak: deepest ? deepest.peakDate : 'N/A',
+                maxDrawdownTrough: deepest ? deepest.troughDate : 'N/A',
+                maxDrawdownRecovery: deepest ? (deepest.recoveryDate || 'Not recovered') : 'N/A',
+                maxDrawdownDuration: deepest ? deepest.duration : 'N/A',
+                longestDrawdown: longest ? longest.duration : 'N/A',
+                longestDrawdownRange: longest ? `${longest.peakDate} → ${longest.recoveryDate || 'ongoing'}` : 'N/A',
+                avgRecoveryDuration: recoveries.length > 0 ? Math.round(recoveries.reduce((a, b) => a + b, 0) / recoveries.length) : 'N/A',
+                currentDrawdown: prices.length > 0 ? pct(drawdownSeries(prices)[prices.length - 1]) : 'N/A',
+                currentDrawdownDuration: current ? current.duration : 0
+            }
+        };
+    }
+
+    // Скользящая, EWMA и GARCH(1,1) волатильность по всей истории, выровненные по доходностям
+    // и обрезанные до периода [from, to]; режим — выше перцентиля скользящей волатильности за всю историю
+    calculateVolatilitySeries(from, to) {
+        const { window: volWindow, ewmaLambda, regimePercentile } = this.volatilitySettings;
+        const { periodsPerYear } = this.riskSettings;
+        const returns = this.returns;
+
+        const rolling = rollingVolatility(returns, volWindow, periodsPerYear);
+        const rollingAligned = [...new Array(Math.min(volWindow - 1, returns.length)).fill(NaN), ...rolling];
+        const ewma = ewmaVolatility(returns, ewmaLambda, periodsPerYear);
+
+        // Подгонка GARCH — самая дорогая часть, поэтому кэшируется до смены ряда доходностей
+        if (!this.garchFit || this.garchFit.returns !== returns) {
+            let params = null;
+            try {
+                params = fitGarch(returns);
+                logger.log('GARCH(1,1) fit:', params);
+            } catch (error) {
+                logger.warn('GARCH(1,1) skipped:', error.message);
+            }
+            this.garchFit = { returns, params };
+        }
+        const garchParams = this.garchFit.params;
+        const garch = garchParams ? garchVolatility(returns, garchParams, periodsPerYear) : returns.map(() => NaN);
+
+        const { threshold, flags } = volatilityRegimes(rollingAligned, regimePercentile);
+        return {
+            dates: this.dateLabels.slice(from + 1, to + 1),
+            rolling: rollingAligned.slice(from, to),
+            ewma: ewma.slice(from, to),
+            garch: garch.slice(from, to),
+            highVolatility: flags.slice(from, to),
+            threshold,
+            window: volWindow,
+            ewmaLambda,
+            regimePercentile,
+            garchParams,
+            garchLongRun: garchParams ? garchLongRunVolatility(garchParams, periodsPerYear) : NaN
+        };
+    }
+
+    summarizeVolatilitySeries(series) {
+        const pct = value => (isFinite(value) ? (value * 100).toFixed(2) + '%' : 'N/A');
+        const last = values => values[values.length - 1];
+        const params = series.garchParams;
+        return {
+            ewmaVol: pct(last(series.ewma)),
+            garchVol: pct(last(series.garch)),
+            garchLongRunVol: pct(series.garchLongRun),
+            garchAlpha: params ? params.alpha.toFixed(3) : 'N/A',
+            garchBeta: params ? params.beta.toFixed(3) : 'N/A',
+            garchPersistence: params ? params.persistence.toFixed(3) : 'N/A',
+            regimeThreshold: pct(series.threshold),
+            highVolShare: series.highVolatility.length > 0
+                ? (series.highVolatility.filter(Boolean).length / series.highVolatility.length * 100).toFixed(1) + '%'
+                : 'N/A'
+        };
+    }
+
+    setVolatilitySettings(settings) {
+        this.volatilitySettings = { ...this.volatilitySettings, ...settings };
+        this.calculateInsights();
+        return this.insights;
+    }
+
+    // Индексы строк data [from, to] для выбранного периода; если он не пересекается с данными — вся история
+    getRangeIndices() {
+        const last = this.data.length - 1;
+        if (!this.dateRange) return [0, last];
+
+        const from = this.dateLabels.findIndex(date => date >= this.dateRange.start);
+        let to = last;
+        while (to >= 0 && this.dateLabels[to] > this.dateRange.end) to--;
+        return from === -1 || to - from < 1 ? [0, last] : [from, to];
+    }
+
+    // Даты, на которых реально учится модель: выбранный период только при limitTrainingToRange
+    getTrainingDateRange() {
+        const [from, to] = this.limitTrainingToRange ? this.getRangeIndices() : [0, this.data.length - 1];
+        return { start: this.dateLabels[from], end: this.dateLabels[to] };
+    }
+
+    // start/end — ISO-даты; null в обоих сбрасывает период на всю историю
+    setDateRange(start, end) {
+        if (!this.data) {
+            throw new Error('Load data before selecting a date range');
+        }
+        if (start === null && end === null) {
+            this.dateRange = null;
+        } else {
+            if (!start || !end || start > end) {
+                throw new Error(`Invalid date range: ${start} → ${end}`);
+            }
+            const count = this.dateLabels.filter(date => date >= start && date <= end).length;
+            if (count < 2) {
+                throw new Error(`Only ${count} trading day${count === 1 ? '' : 's'} between ${start} and ${end}`);
+            }
+            this.dateRange = { start, end };
+        }
+        this.calculateInsights();
+        return this.insights;
+    }
+
+    setRiskSettings(settings) {
+        this.riskSettings = { ...this.riskSettings, ...settings };
+        this.calculateInsights();
+        return this.insights;
+    }
+
     calculateSMA(prices, period) {
         const sma = [];
         if (prices.length >= period) {
@@ -244,6 +629,10 @@ class DataLoader {
     }
 
     parseDate(dateStr) {
+        const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
+        if (iso) {
+            return new Date(iso[1], iso[2] - 1, iso[3]);
+        }
         const parts = dateStr.split('.');
         if (parts.length === 3) {
             return new Date(parts[2], parts[1] - 1, parts[0]);
@@ -251,75 +640,214 @@ class DataLoader {
         return new Date(dateStr);
     }
 
-    prepareData(windowSize = 60, predictionHorizon = 5, testSplit = 0.2) {
-        console.log('Preparing data for training...');
+    // normalization: сохранённые параметры скейлеров (из модели) — тогда они не переобучаются
+    prepareData(windowSize = 60, predictionHorizon = 5, testSplit = 0.2, features = this.features, scalerMethod = this.scalerMethod, normalization = null) {
+        logger.log('Preparing data for training...');
         
         if (!this.returns || this.returns.length === 0) {
             throw new Error('No returns data available. Load CSV first.');
         }
 
-        const totalSamples = this.returns.length - windowSize - predictionHorizon + 1;
+        // Build feature matrix (первый столбец — доходность, она же цель)
+        const featureSet = this.getFeatureMatrix(features);
+        this.features = featureSet.keys;
+        this.featureColumns = featureSet.columns;
+        this.featureCount = featureSet.columns.length;
+        this.featureWarmup = featureSet.warmup;
+
+        // Признаки считаются по всей истории; при ограничении периодом окна и цели выборок не выходят за него
+        const [rangeFrom, rangeTo] = this.limitTrainingToRange ? this.getRangeIndices() : [0, this.data.length - 1];
+        const start = Math.max(featureSet.warmup, rangeFrom);
+        const returnsEnd = Math.min(this.returns.length, rangeTo);
+        const totalSamples = returnsEnd - start - windowSize - predictionHorizon + 1;
         
-        console.log(`Total returns: ${this.returns.length}, Total samples: ${totalSamples}`);
+        logger.log(`Total returns: ${this.returns.length}, warmup: ${featureSet.warmup}, samples from return ${start} to ${returnsEnd}, features: ${this.featureColumns.join(', ')}, Total samples: ${totalSamples}`);
         
         if (totalSamples <= 0) {
-            throw new Error(`Not enough data. Need at least ${windowSize + predictionHorizon} days of returns.`);
+            throw new DataInsufficientError(this.limitTrainingToRange && this.dateRange
+                ? `Not enough data in ${this.dateRange.start} → ${this.dateRange.end}. Need at least ${windowSize + predictionHorizon} days of returns after the feature warm-up.`
+                : `Not enough data. Need at least ${start + windowSize + predictionHorizon} days of returns.`, {
+                required: windowSize + predictionHorizon,
+                available: Math.max(0, returnsEnd - start),
+                warmup: featureSet.warmup,
+                range: this.limitTrainingToRange ? this.dateRange : null
+            });
         }
 
-        // Normalize returns
-        this.normalizeReturns();
+        // Split chronologically (по индексам выборок, до нормализации)
+        const splitIdx = Math.floor(totalSamples * (1 - testSplit));
+        this.trainIndices = Array.from({ length: splitIdx }, (_, i) => i);
+        this.testIndices = Array.from({ length: totalSamples - splitIdx }, (_, i) => i + splitIdx);
+
+        // Скейлеры видят только доходности, попавшие в обучающие окна и цели
+        const fitEnd = start + Math.max(splitIdx, 1) - 1 + windowSize + predictionHorizon;
+        this.windowSize = windowSize;
+        this.predictionHorizon = predictionHorizon;
+        this.sampleStart = start;
+        this.trainRange = [start, fitEnd];
+        this.scalerMethod = normalization ? normalization.method : scalerMethod;
+        this.normalizeReturns(start, fitEnd, normalization?.target);
+        this.normalizeFeatures(featureSet.matrix, start, fitEnd, normalization?.featureScalers);
 
         // Create sequences using typed arrays for speed
         const sequences = new Array(totalSamples);
         const targets = new Array(totalSamples);
 
         for (let i = 0; i < totalSamples; i++) {
-            sequences[i] = this.normalizedData.slice(i, i + windowSize).map(v => [v]);
-            targets[i] = this.normalizedData.slice(i + windowSize, i + windowSize + predictionHorizon);
+            const t = start + i;
+            sequences[i] = this.normalizedFeatures.slice(t, t + windowSize);
+            targets[i] = this.normalizedData.slice(t + windowSize, t + windowSize + predictionHorizon);
         }
 
-        // Split chronologically
-        const splitIdx = Math.floor(sequences.length * (1 - testSplit));
-        this.trainIndices = Array.from({ length: splitIdx }, (_, i) => i);
-        this.testIndices = Array.from({ length: sequences.length - splitIdx }, (_, i) => i + splitIdx);
-
         // Convert to tensors
-        this.X_train = tf.tensor3d(sequences.slice(0, splitIdx), [splitIdx, windowSize, 1]);
+        const width = this.featureCount;
+        this.X_train = tf.tensor3d(sequences.slice(0, splitIdx), [splitIdx, windowSize, width]);
         this.y_train = tf.tensor2d(targets.slice(0, splitIdx), [splitIdx, predictionHorizon]);
-        this.X_test = tf.tensor3d(sequences.slice(splitIdx), [sequences.length - splitIdx, windowSize, 1]);
+        this.X_test = tf.tensor3d(sequences.slice(splitIdx), [sequences.length - splitIdx, windowSize, width]);
         this.y_test = tf.tensor2d(targets.slice(splitIdx), [sequences.length - splitIdx, predictionHorizon]);
 
-        console.log(`Created ${sequences.length} samples: ${splitIdx} train, ${sequences.length - splitIdx} test`);
+        logger.log(`Created ${sequences.length} samples: ${splitIdx} train, ${sequences.length - splitIdx} test`);
         
         return this;
     }
 
-    normalizeReturns() {
+    // Окна и цели выборок в сырых доходностях (для эталонных моделей и метрик)
+    getRawSamples(indices = this.testIndices) {
+        if (!this.trainRange) {
+            throw new Error('Data not prepared. Call prepareData first.');
+        }
+
+        const { windowSize, predictionHorizon, sampleStart } = this;
+        return {
+            trainReturns: this.returns.slice(this.trainRange[0], this.trainRange[1]),
+            windows: indices.map(i => this.returns.slice(sampleStart + i, sampleStart + i + windowSize)),
+            targets: indices.map(i => this.returns.slice(sampleStart + i + windowSize, sampleStart + i + windowSize + predictionHorizon)),
+            // Дата первого дня прогноза для каждой выборки
+            dates: indices.map(i => this.dateLabels[sampleStart + i + windowSize + 1])
+        };
+    }
+
+    getFeatureMatrix(features = this.features) {
+        // Признаки, которых нет в новом наборе данных (например, объём), пропускаем
+        const usable = features.filter(key => FeatureBuilder.isAvailable(key, this.data));
+        if (usable.length < features.length) {
+            logger.warn('Skipping unavailable features:', features.filter(key => !usable.includes(key)));
+        }
+
+        return new FeatureBuilder().build(this.data, this.returns, usable);
+    }
+
+    normalizeReturns(fitStart = 0, fitEnd = this.returns.length, savedParams = null) {
         if (!this.returns || this.returns.length === 0) {
             throw new Error('No returns data available');
         }
 
-        this.min = Math.min(...this.returns);
-        this.max = Math.max(...this.returns);
-        
-        const range = this.max - this.min || 1;
-        this.normalizedData = this.returns.map(ret => (ret - this.min) / range);
+        this.targetScaler = savedParams
+            ? Scaler.fromJSON(savedParams)
+            : new Scaler(this.scalerMethod).fit(this.returns.slice(fitStart, fitEnd));
+        this.normalizedData = this.targetScaler.transform(this.returns);
         
-        console.log(`Normalized returns: min=${this.min}, max=${this.max}, range=${range}`);
+        const { center, scale } = this.targetScaler;
+        logger.log(`Normalized returns (${this.scalerMethod}, fit on [${fitStart}, ${fitEnd})): center=${center}, scale=${scale}`);
+    }
+
+    // Отдельный скейлер на каждый столбец; строки прогрева остаются NaN и в выборки не попадают
+    normalizeFeatures(matrix, fitStart, fitEnd, savedParams = null) {
+        if (savedParams && savedParams.length !== this.featureColumns.length) {
+            throw new ShapeMismatchError(`Saved model expects ${savedParams.length} feature columns, data has ${this.featureColumns.length}`, {
+                expected: savedParams.length,
+                actual: this.featureColumns.length
+            });
+        }
+
+        const fitRows = matrix.slice(fitStart, fitEnd);
+        this.featureScalers = this.featureColumns.map((_, col) => (savedParams
+            ? Scaler.fromJSON(savedParams[col])
+            : new Scaler(this.scalerMethod).fit(fitRows.map(row => row[col]))
+        ));
+
+        this.normalizedFeatures = matrix.map(row => row.map((value, col) =>
+            this.featureScalers[col].transformValue(value)
+        ));
+    }
+
+    // Параметры нормализации сохраняются вместе с моделью
+    getNormalizationParams() {
+        if (!this.targetScaler) return null;
+        return {
+            method: this.scalerMethod,
+            features: this.features.slice(),
+            target: this.targetScaler.toJSON(),
+            featureScalers: this.featureScalers.map(scaler => scaler.toJSON()),
+            featureColumns: [...this.featureColumns]
+        };
+    }
+
+    getLatestWindow(windowSize) {
+        if (!this.normalizedFeatures) {
+            throw new Error('Data not prepared. Call prepareData first.');
+        }
+        const available = this.normalizedFeatures.length - this.featureWarmup;
+        if (available < windowSize) {
+            throw new DataInsufficientError(`Need ${windowSize} days after the feature warm-up for the forecast window, have ${available}`, {
+                required: windowSize,
+                available
+            });
+        }
+        return this.normalizedFeatures.slice(-windowSize);
+    }
+
+    // Окно для рекурсивного прогноза: к хвосту истории дописываются прогнозные дни
+    // (цена по прогнозной доходности, OHLC = цене, объём — последний известный),
+    // признаки пересчитываются и нормализуются уже обученными скейлерами.
+    getExtendedWindow(futureReturns, futureDates, windowSize) {
+        if (!this.featureScalers.length) {
+            throw new Error('Data not prepared. Call prepareData first.');
+        }
+
+        // Вся история, чтобы EMA-признаки совпадали с getLatestWindow
+        const data = [...this.data];
+        const last = data[data.length - 1];
+        let price = last.price;
+        futureReturns.forEach((value, i) => {
+            price *= 1 + value;
+            const row = { date: futureDates[i], price };
+            ['open', 'high', 'low', 'close'].forEach(field => {
+                if (last[field] !== undefined) row[field] = price;
+            });
+            if (last.volume !== undefined) row.volume = last.volume;
+            data.push(row);
+        });
+
+        const returns = this.calculateReturns(data.map(d => d.price));
+        const { matrix, warmup } = new FeatureBuilder().build(data, returns, this.features);
+        if (matrix.length - warmup < windowSize) {
+            throw new DataInsufficientError('Not enough history to rebuild features for the forecast window', {
+                required: windowSize,
+                available: matrix.length - warmup
+            });
+        }
+        return matrix.slice(-windowSize).map(row =>
+            row.map((value, col) => this.featureScalers[col].transformValue(value))
+        );
+    }
+
+    getFeatureList() {
+        return FeatureBuilder.getFeatureList(this.data || []);
     }
 
     denormalize(value) {
-        if (this.min === null || this.max === null) {
+        if (!this.targetScaler) {
             throw new Error('Normalization parameters not available');
         }
-        const range = this.max - this.min || 1;
-        return value * range + this.min;
+        return this.targetScaler.inverseValue(value);
     }
 
     getHistoricalData() {
         if (!this.data) return null;
         
         return {
+            name: this.activeAsset,
             dates: this.dateLabels,
             prices: this.data.map(d => d.price),
             returns: this.returns,
@@ -339,7 +867,7 @@ class DataLoader {
         [this.X_train, this.y_train, this.X_test, this.y_test].forEach(tensor => {
             if (tensor) tensor.dispose();
         });
-        this.X_train = this.y_train = this.X_test = this.y_test = this.normalizedData = null;
+        this.X_train = this.y_train = this.X_test = this.y_test = this.normalizedData = this.normalizedFeatures = null;
     }
 }
 
@@ -0,0 +1,51 @@
+// date-range.js (пресеты периода анализа: последние N лет, YTD и кризисы)
+
+// Даты кризисов — от пика S&P 500 до дна
+const CRISIS_PERIODS = {
+    dotcom: { label: 'Dot-com crash', start: '2000-03-24', end: '2002-10-09' },
+    gfc: { label: '2008 financial crisis', start: '2007-10-09', end: '2009-03-09' },
+    euroDebt: { label: '2011 debt crisis', start: '2011-04-29', end: '2011-10-03' },
+    covid: { label: 'COVID-19 crash', start: '2020-02-19', end: '2020-03-23' },
+    bear2022: { label: '2022 bear market', start: '2022-01-03', end: '2022-10-12' }
+};
+
+const DATE_RANGE_PRESETS = {
+    '1Y': 'Last year',
+    '5Y': 'Last 5 years',
+    '10Y': 'Last 10 years',
+    YTD: 'Year to date',
+    Max: 'Full history',
+    ...Object.fromEntries(Object.entries(CRISIS_PERIODS).map(([key, period]) => [key, period.label]))
+};
+
+function shiftYears(isoDate, years) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCFullYear(date.getUTCFullYear() - years);
+    return date.toISOString().slice(0, 10);
+}
+
+// Границы пресета для ряда дат [firstDate, lastDate]; null — если пресет вне доступной истории
+function resolvePreset(preset, firstDate, lastDate) {
+    let start;
+    let end = lastDate;
+
+    if (CRISIS_PERIODS[preset]) {
+        ({ start, end } = CRISIS_PERIODS[preset]);
+    } else if (preset === 'YTD') {
+        start = `${lastDate.slice(0, 4)}-01-01`;
+    } else if (preset === 'Max') {
+        start = firstDate;
+    } else if (/^\d+Y$/.test(preset)) {
+        start = shiftYears(lastDate, parseInt(preset));
+    } else {
+        throw new Error(`Unknown date range preset: ${preset}`);
+    }
+
+    if (end < firstDate || start > lastDate) return null;
+    return {
+        start: start < firstDate ? firstDate : start,
+        end: end > lastDate ? lastDate : end
+    };
+}
+
+export { DATE_RANGE_PRESETS, CRISIS_PERIODS, resolvePreset };
@@ -0,0 +1,80 @@
+// errors.js (типизированные ошибки модели и данных; UI показывает их в панели диагностики)
+// details — данные для диагностики: ожидаемые и фактические размеры, сколько данных нужно и т.п.
+
+class NotTrainedError extends Error {
+    constructor(message = 'Model is not trained yet', details = {}) {
+        super(message);
+        this.name = 'NotTrainedError';
+        this.details = details;
+    }
+}
+
+class ShapeMismatchError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ShapeMismatchError';
+        this.details = details;
+    }
+}
+
+class DataInsufficientError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'DataInsufficientError';
+        this.details = details;
+    }
+}
+
+const ERROR_TYPES = { NotTrainedError, ShapeMismatchError, DataInsufficientError };
+
+const ERROR_HINTS = {
+    NotTrainedError: 'Train a model or load one from the saved models list. Forecasts, metrics and backtests need trained weights.',
+    ShapeMismatchError: 'The data no longer matches the model: window size, horizon or feature columns changed. Retrain, or restore the features and scaler the model was saved with.',
+    DataInsufficientError: 'Load a longer history, widen the date range, or reduce the window size and prediction horizon.'
+};
+
+// Проверка размеров тензора; null в expected — любая длина по этой оси
+function assertShape(tensor, expected, label) {
+    const actual = tensor.shape;
+    const matches = actual.length === expected.length && expected.every((size, i) => size === null || size === actual[i]);
+    if (!matches) {
+        const format = shape => `[${shape.map(size => (size === null ? '?' : size)).join(', ')}]`;
+        throw new ShapeMismatchError(`${label} has shape ${format(actual)}, expected ${format(expected)}`, {
+            expected,
+            actual: [...actual]
+        });
+    }
+}
+
+// postMessage теряет класс ошибки: передаём имя, текст и детали, а на приёме собираем заново
+function serializeError(error) {
+    return { name: error.name || 'Error', message: error.message, details: error.details || null };
+}
+
+function deserializeError({ name, message, details }) {
+    const ErrorType = ERROR_TYPES[name];
+    if (ErrorType) return new ErrorType(message, details || {});
+    const error = new Error(message);
+    error.name = name || 'Error';
+    return error;
+}
+
+function describeError(error) {
+    return {
+        type: error.name || 'Error',
+        message: error.message,
+        hint: ERROR_HINTS[error.name] || null,
+        details: error.details || null
+    };
+}
+
+export {
+    NotTrainedError,
+    ShapeMismatchError,
+    DataInsufficientError,
+    ERROR_HINTS,
+    assertShape,
+    serializeError,
+    deserializeError,
+    describeError
+};
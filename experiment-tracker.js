@@ -0,0 +1,158 @@
+// experiment-tracker.js (журнал прогонов обучения в IndexedDB: данные, настройки, кривые потерь, метрики, прогнозы)
+// Весов здесь нет — они в реестре моделей; журнал нужен, чтобы сравнивать прогоны между собой.
+import { logger } from './logger.js';
+
+const DB_NAME = 'stock-predictor-experiments';
+const DB_VERSION = 1;
+const STORE = 'runs';
+
+const RUN_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// FNV-1a по датам и ценам: одинаковый хэш — прогоны обучены на одном и том же ряде
+function hashSeries(dates, prices) {
+    let hash = 0x811c9dc5;
+    dates.forEach((date, i) => {
+        const text = `${date}:${prices[i]};`;
+        for (let j = 0; j < text.length; j++) {
+            hash ^= text.charCodeAt(j);
+            hash = Math.imul(hash, 0x01000193);
+        }
+    });
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// filter: { asset, status, search, championOnly }; новые прогоны сверху
+function filterRuns(runs, { asset = '', status = '', search = '', championOnly = false } = {}) {
+    const query = search.trim().toLowerCase();
+    return runs
+        .filter(run => !asset || run.asset === asset)
+        .filter(run => !status || run.status === status)
+        .filter(run => !championOnly || run.champion)
+        .filter(run => !query || [run.name, run.architecture, run.asset, run.config?.optimizer, ...(run.features || [])]
+            .some(text => String(text || '').toLowerCase().includes(query)))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+class ExperimentTracker {
+    constructor(factory = globalThis.indexedDB) {
+        this.factory = factory;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (!this.factory) {
+                    reject(new Error('IndexedDB is not available: runs cannot be logged in this browser'));
+                    return;
+                }
+                const request = this.factory.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                    store.createIndex('asset', 'asset');
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Следующий вызов попробует открыть базу заново
+                this.db = null;
+                throw error;
+            });
+        }
+        return this.db;
+    }
+
+    // action получает хранилище и может вернуть запрос; его результат доступен после завершения транзакции
+    async transact(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = action(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Run log transaction aborted'));
+        });
+    }
+
+    async list() {
+        return (await this.transact('readonly', store => store.getAll())) || [];
+    }
+
+    async get(id) {
+        const run = await this.transact('readonly', store => store.get(id));
+        if (!run) {
+            throw new Error(`Run not found: ${id}`);
+        }
+        return run;
+    }
+
+    // run: { status, asset, dataHash, dataRange, windowSize, predictionHorizon, features, scalerMethod,
+    // config, architecture, trainingOptions, epochs, curves, trainingSummary, metrics, testForecast, error };
+    // testForecast: { dates, predicted, actual } — прогнозы модели на тестовой части в доходностях
+    async add(run) {
+        if (!RUN_STATUSES.includes(run.status)) {
+            throw new Error(`Unknown run status: ${run.status}`);
+        }
+        const runs = await this.list();
+        const number = runs.reduce((max, item) => Math.max(max, item.number || 0), 0) + 1;
+        const entry = {
+            ...run,
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            number,
+            name: run.name || `Run #${number}`,
+            createdAt: new Date().toISOString(),
+            metrics: this.summarizeMetrics(run.metrics),
+            testForecast: run.testForecast || null,
+            forecast: null,
+            champion: false
+        };
+        await this.transact('readwrite', store => store.put(entry));
+        logger.log(`🧪 Logged ${entry.name} (${entry.status})`);
+        return entry;
+    }
+
+    async update(id, patch) {
+        const run = await this.get(id);
+        const updated = { ...run, ...patch, id };
+        await this.transact('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    // Чемпион — один на актив: отметка снимается с остальных прогонов того же актива
+    async setChampion(id, champion = true) {
+        const runs = await this.list();
+        const target = runs.find(run => run.id === id);
+        if (!target) {
+            throw new Error(`Run not found: ${id}`);
+        }
+        const isChampion = run => champion && run.id === id;
+        const changed = runs
+            .filter(run => run.asset === target.asset && Boolean(run.champion) !== isChampion(run))
+            .map(run => ({ ...run, champion: isChampion(run) }));
+        await this.transact('readwrite', store => {
+            changed.forEach(run => store.put(run));
+        });
+        return { ...target, champion };
+    }
+
+    async remove(id) {
+        await this.transact('readwrite', store => store.delete(id));
+    }
+
+    async clear() {
+        await this.transact('readwrite', store => store.clear());
+    }
+
+    // Остатки и нормализованные величины не нужны для сравнения — только метрики в доходностях
+    summarizeMetrics(metrics) {
+        if (!metrics) return null;
+        const { rmse, mae, hitRate, r2, mape } = metrics;
+        return {
+            rmse, mae, hitRate, r2, mape,
+            horizon: (metrics.horizon || []).map(({ step, rmse, mae, hitRate }) => ({ step, rmse, mae, hitRate }))
+        };
+    }
+}
+
+export { ExperimentTracker, RUN_STATUSES, hashSeries, filterRuns };
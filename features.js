@@ -0,0 +1,203 @@
+// features.js (входные признаки для модели)
+// Все ряды выровнены по массиву доходностей: индекс t соответствует доходности
+// от data[t] к data[t + 1]. Значения до окончания «прогрева» равны NaN.
+
+const TRADING_DAYS = 252;
+
+function rollingVolatility(returns, window = 20, periodsPerYear = TRADING_DAYS) {
+    const result = [];
+    for (let i = window; i <= returns.length; i++) {
+        const windowReturns = returns.slice(i - window, i);
+        const windowMean = windowReturns.reduce((a, b) => a + b, 0) / window;
+        const windowVar = windowReturns.reduce((sq, n) => sq + Math.pow(n - windowMean, 2), 0) / window;
+        result.push(Math.sqrt(windowVar) * Math.sqrt(periodsPerYear));
+    }
+    return result;
+}
+
+function padStart(values, length) {
+    return [...Array(Math.max(0, length - values.length)).fill(NaN), ...values];
+}
+
+function sma(values, period) {
+    const result = new Array(values.length).fill(NaN);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+    }
+    return result;
+}
+
+function ema(values, period) {
+    const result = new Array(values.length).fill(NaN);
+    const k = 2 / (period + 1);
+    let current = NaN;
+    for (let i = 0; i < values.length; i++) {
+        if (i === period - 1) {
+            current = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+        } else if (i >= period) {
+            current = values[i] * k + current * (1 - k);
+        }
+        result[i] = current;
+    }
+    return result;
+}
+
+function rsi(prices, period = 14) {
+    const result = new Array(prices.length).fill(NaN);
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i < prices.length; i++) {
+        const change = prices[i] - prices[i - 1];
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        if (i <= period) {
+            avgGain += gain / period;
+            avgLoss += loss / period;
+        } else {
+            // Сглаживание Уайлдера
+            avgGain = (avgGain * (period - 1) + gain) / period;
+            avgLoss = (avgLoss * (period - 1) + loss) / period;
+        }
+        if (i >= period) {
+            result[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+        }
+    }
+    return result;
+}
+
+// Значение для доходности t берётся на дату data[t + 1]
+function toReturnIndex(priceSeries) {
+    return priceSeries.slice(1);
+}
+
+const FEATURES = {
+    returns: {
+        label: 'Daily returns',
+        columns: ['return'],
+        compute: ({ returns }) => [returns]
+    },
+    logReturns: {
+        label: 'Log returns',
+        columns: ['log_return'],
+        compute: ({ prices }) => [toReturnIndex(prices.map((p, i) => (i === 0 ? NaN : Math.log(p / prices[i - 1]))))]
+    },
+    volatility: {
+        label: 'Rolling volatility (20d)',
+        columns: ['volatility_20'],
+        compute: ({ returns }) => [padStart(rollingVolatility(returns, 20), returns.length)]
+    },
+    smaDistance: {
+        label: 'Distance to SMA 20/50',
+        columns: ['sma20_dist', 'sma50_dist'],
+        compute: ({ prices }) => [20, 50].map(period => {
+            const avg = sma(prices, period);
+            return toReturnIndex(prices.map((p, i) => p / avg[i] - 1));
+        })
+    },
+    rsi: {
+        label: 'RSI (14)',
+        columns: ['rsi_14'],
+        compute: ({ prices }) => [toReturnIndex(rsi(prices, 14).map(v => v / 100))]
+    },
+    macd: {
+        label: 'MACD (12/26/9)',
+        columns: ['macd', 'macd_signal'],
+        compute: ({ prices }) => {
+            const fast = ema(prices, 12);
+            const slow = ema(prices, 26);
+            const line = prices.map((p, i) => (fast[i] - slow[i]) / p);
+            const firstValid = line.findIndex(v => !isNaN(v));
+            const signal = padStart(ema(line.slice(firstValid), 9), line.length);
+            return [toReturnIndex(line), toReturnIndex(signal)];
+        }
+    },
+    range: {
+        label: 'High-low range',
+        columns: ['hl_range'],
+        requires: ['high', 'low'],
+        compute: ({ data }) => [toReturnIndex(data.map(d => (d.high - d.low) / d.price))]
+    },
+    volumeChange: {
+        label: 'Volume change',
+        columns: ['volume_change'],
+        requires: ['volume'],
+        compute: ({ data }) => [toReturnIndex(data.map((d, i) => (
+            i === 0 || !data[i - 1].volume ? NaN : d.volume / data[i - 1].volume - 1
+        )))]
+    },
+    dayOfWeek: {
+        label: 'Day of week',
+        columns: ['dow_sin', 'dow_cos'],
+        compute: ({ data }) => {
+            const days = toReturnIndex(data.map(d => new Date(`${d.date}T00:00:00Z`).getUTCDay()));
+            return [
+                days.map(day => Math.sin(2 * Math.PI * day / 7)),
+                days.map(day => Math.cos(2 * Math.PI * day / 7))
+            ];
+        }
+    }
+};
+
+const DEFAULT_FEATURES = ['returns'];
+
+class FeatureBuilder {
+    static getFeatureList(data = []) {
+        return Object.entries(FEATURES).map(([key, feature]) => ({
+            key,
+            label: feature.label,
+            columns: feature.columns,
+            available: FeatureBuilder.isAvailable(key, data)
+        }));
+    }
+
+    static isAvailable(key, data = []) {
+        const feature = FEATURES[key];
+        if (!feature) return false;
+        return !feature.requires || (data.length > 0 && data.every(row =>
+            feature.requires.every(field => typeof row[field] === 'number' && !isNaN(row[field]))
+        ));
+    }
+
+    // Возвращает матрицу [returns.length][columns.length] и индекс первой полной строки
+    build(data, returns, keys = DEFAULT_FEATURES) {
+        const selected = keys.filter(key => FEATURES[key]);
+        // Доходность всегда первый столбец — это и есть целевая переменная
+        if (!selected.includes('returns')) selected.unshift('returns');
+        else selected.sort((a, b) => (a === 'returns' ? -1 : b === 'returns' ? 1 : 0));
+
+        const unavailable = selected.filter(key => !FeatureBuilder.isAvailable(key, data));
+        if (unavailable.length > 0) {
+            throw new Error(`Features not available for this dataset: ${unavailable.join(', ')}`);
+        }
+
+        const prices = data.map(d => d.price);
+        const context = { data, prices, returns };
+        const columns = [];
+        const series = [];
+        selected.forEach(key => {
+            const feature = FEATURES[key];
+            feature.compute(context).forEach((values, i) => {
+                columns.push(feature.columns[i]);
+                series.push(values);
+            });
+        });
+
+        const matrix = returns.map((_, t) => series.map(values => values[t]));
+        const warmup = matrix.findIndex(row => row.every(v => Number.isFinite(v)));
+        if (warmup === -1) {
+            throw new Error('Not enough data to compute the selected features');
+        }
+
+        // Случайные пропуски после прогрева (например, нулевой объём) заменяем нулём
+        for (let t = warmup; t < matrix.length; t++) {
+            matrix[t] = matrix[t].map(v => (Number.isFinite(v) ? v : 0));
+        }
+
+        return { keys: selected, columns, matrix, warmup };
+    }
+}
+
+export { FeatureBuilder, FEATURES, DEFAULT_FEATURES, rollingVolatility, sma, ema, rsi };
@@ -0,0 +1,439 @@
+// gru.js (обобщённый прогнозист последовательностей: GRU/LSTM/SimpleRNN/Conv1D/Attention)
+import { horizonMetrics } from './metrics.js';
+import { TrainingMonitor } from './training-schedule.js';
+import { logger } from './logger.js';
+import { NotTrainedError, DataInsufficientError, assertShape } from './errors.js';
+
+// Архитектуры, которые умеет собирать прогнозист
+const MODEL_TYPES = {
+    gru: 'GRU',
+    lstm: 'LSTM',
+    simpleRNN: 'SimpleRNN',
+    conv1d: '1D Conv',
+    attention: 'GRU + Attention'
+};
+
+const OPTIMIZERS = {
+    adam: lr => tf.train.adam(lr),
+    rmsprop: lr => tf.train.rmsprop(lr),
+    sgd: lr => tf.train.sgd(lr)
+};
+
+const LOSSES = {
+    mse: 'meanSquaredError',
+    mae: 'meanAbsoluteError',
+    huber: (yTrue, yPred) => tf.losses.huberLoss(yTrue, yPred)
+};
+
+// Значения по умолчанию повторяют исходную модель: один GRU на 16 нейронов, SGD(0.01), MSE
+const DEFAULT_MODEL_CONFIG = {
+    type: 'gru',
+    layers: 1,
+    units: 16,
+    dropout: 0,
+    recurrentDropout: 0,
+    optimizer: 'sgd',
+    learningRate: 0.01,
+    loss: 'mse'
+};
+
+function normalizeModelConfig(config = {}) {
+    const merged = { ...DEFAULT_MODEL_CONFIG, ...config };
+    if (!MODEL_TYPES[merged.type]) throw new Error(`Unknown model type: ${merged.type}`);
+    if (!OPTIMIZERS[merged.optimizer]) throw new Error(`Unknown optimizer: ${merged.optimizer}`);
+    if (!LOSSES[merged.loss]) throw new Error(`Unknown loss: ${merged.loss}`);
+
+    return {
+        ...merged,
+        layers: Math.max(1, Math.floor(merged.layers) || 1),
+        units: Math.max(1, Math.floor(merged.units) || DEFAULT_MODEL_CONFIG.units),
+        dropout: Math.min(Math.max(Number(merged.dropout) || 0, 0), 0.9),
+        recurrentDropout: Math.min(Math.max(Number(merged.recurrentDropout) || 0, 0), 0.9),
+        learningRate: Number(merged.learningRate) > 0 ? Number(merged.learningRate) : DEFAULT_MODEL_CONFIG.learningRate
+    };
+}
+
+// Обобщённый прогнозист последовательностей: окно [windowSize × numFeatures] → horizon доходностей
+class SequenceForecaster {
+    constructor(windowSize = 60, predictionHorizon = 5, numFeatures = 1, config = {}) {
+        this.windowSize = windowSize;
+        this.predictionHorizon = predictionHorizon;
+        this.numFeatures = numFeatures;
+        this.config = normalizeModelConfig(config);
+        this.model = null;
+        this.trainingHistory = null;
+        this.isTrained = false;
+        this.batchSize = 256;
+        this.normalization = null;
+        this.residuals = null;
+        this.metrics = null;
+        this.trainingSummary = null;
+        this.cancelled = false;
+    }
+
+    // Короткое имя для таблиц и статусов, например «LSTM 2×32»
+    describe() {
+        const { type, layers, units } = this.config;
+        return `${MODEL_TYPES[type]} ${layers}×${units}`;
+    }
+
+    buildModel() {
+        // Только свою модель: глобальный tf.disposeVariables() уничтожил бы веса других моделей
+        this.dispose();
+        
+        const { type, layers, units, dropout, recurrentDropout } = this.config;
+        const input = tf.input({ shape: [this.windowSize, this.numFeatures] });
+        let x = input;
+        
+        if (type === 'conv1d') {
+            for (let i = 0; i < layers; i++) {
+                x = tf.layers.conv1d({
+                    filters: units,
+                    kernelSize: 3,
+                    padding: 'same',
+                    activation: 'relu',
+                    kernelInitializer: 'glorotUniform'
+                }).apply(x);
+                if (dropout > 0) x = tf.layers.dropout({ rate: dropout }).apply(x);
+            }
+            x = tf.layers.flatten().apply(x);
+        } else {
+            const cell = type === 'attention' ? 'gru' : type;
+            for (let i = 0; i < layers; i++) {
+                // Внимание смотрит на все шаги последнего слоя, поэтому ему нужны последовательности
+                const returnSequences = i < layers - 1 || type === 'attention';
+                x = tf.layers[cell]({
+                    units,
+                    returnSequences,
+                    activation: 'tanh',
+                    dropout,
+                    recurrentDropout,
+                    kernelInitializer: 'glorotUniform'
+                }).apply(x);
+            }
+            
+            if (type === 'attention') {
+                // Оценка каждого шага → softmax по времени → взвешенная сумма скрытых состояний
+                const scores = tf.layers.dense({ units: 1, activation: 'tanh' }).apply(x);
+                const flatScores = tf.layers.flatten().apply(scores);
+                const weights = tf.layers.reshape({ targetShape: [this.windowSize, 1] })
+                    .apply(tf.layers.softmax().apply(flatScores));
+                const context = tf.layers.dot({ axes: [1, 1] }).apply([x, weights]);
+                x = tf.layers.flatten().apply(context);
+            } else if (dropout > 0) {
+                x = tf.layers.dropout({ rate: dropout }).apply(x);
+            }
+        }
+        
+        const output = tf.layers.dense({
+            units: this.predictionHorizon,
+            activation: 'linear',
+            kernelInitializer: 'glorotUniform'
+        }).apply(x);
+        
+        this.model = tf.model({ inputs: input, outputs: output });
+        this.compileModel();
+        
+        logger.log(`✅ Model built: ${this.describe()} (input: ${this.windowSize}×${this.numFeatures})`);
+        this.isTrained = false;
+        
+        return this.model;
+    }
+
+    compileModel() {
+        const { optimizer, learningRate, loss } = this.config;
+        if (this.model.optimizer) this.model.optimizer.dispose();
+        this.model.compile({
+            optimizer: OPTIMIZERS[optimizer](learningRate),
+            loss: LOSSES[loss],
+            metrics: ['mse']
+        });
+    }
+
+    // Новая конфигурация сбрасывает веса: модель пересоберётся при следующем обучении
+    setConfig(config) {
+        const next = normalizeModelConfig(config);
+        if (JSON.stringify(next) !== JSON.stringify(this.config)) {
+            this.config = next;
+            this.dispose();
+        }
+    }
+
+    // trainingOptions: ранняя остановка, расписание LR, восстановление лучших весов (см. training-schedule.js)
+    async train(X_train, y_train, epochs = 12, callbacks = {}, trainingOptions = {}) {
+        logger.log('Train method called with:', { 
+            X_shape: X_train?.shape, 
+            y_shape: y_train?.shape,
+            epochs: epochs,
+            callbacks: typeof callbacks 
+        });
+        
+        if (!X_train || !y_train) {
+            throw new Error('Training data not provided');
+        }
+        this.checkInputs(X_train, y_train, 'Training');
+        if (X_train.shape[0] === 0) {
+            throw new DataInsufficientError('No training samples: the history is shorter than one window plus the horizon', {
+                required: this.windowSize + this.predictionHorizon
+            });
+        }
+        
+        if (!this.model) {
+            logger.log('Building model...');
+            this.buildModel();
+        }
+        
+        if (typeof epochs === 'object') {
+            callbacks = epochs;
+            epochs = 12;
+        }
+        
+        if (typeof epochs !== 'number' || isNaN(epochs)) {
+            epochs = 12;
+        }
+        
+        epochs = Math.max(1, Math.floor(epochs));
+        this.cancelled = false;
+        // Пока идёт fit(), веса уже не те, что были обучены раньше
+        this.isTrained = false;
+        this.trainingSummary = null;
+        const monitor = new TrainingMonitor(trainingOptions, epochs, this.config.learningRate);
+        
+        const sampleCount = X_train.shape[0];
+        const batchSize = Math.min(this.batchSize, sampleCount);
+        
+        logger.log(`Training: epochs=${epochs}, batch=${batchSize}, samples=${sampleCount}`);
+        
+        try {
+            const startTime = Date.now();
+            
+            this.trainingHistory = await this.model.fit(X_train, y_train, {
+                epochs: epochs,
+                batchSize: batchSize,
+                validationSplit: 0.1,
+                verbose: 0,
+                shuffle: false,
+                callbacks: {
+                    // Асинхронный колбэк может «придержать» обучение (пауза в воркере)
+                    onBatchEnd: async (batch, logs) => {
+                        if (callbacks.onBatchEnd) {
+                            await callbacks.onBatchEnd(batch, logs);
+                        }
+                    },
+                    onEpochBegin: async (epoch) => {
+                        monitor.onEpochBegin(epoch, this.model.optimizer);
+                    },
+                    onEpochEnd: async (epoch, logs) => {
+                        const currentEpoch = epoch + 1;
+                        const learningRate = monitor.learningRate;
+                        if (monitor.onEpochEnd(epoch, logs, this.model)) {
+                            this.model.stopTraining = true;
+                        }
+                        
+                        if (callbacks.onEpochEnd) {
+                            try {
+                                callbacks.onEpochEnd(epoch, {
+                                    ...logs,
+                                    learningRate,
+                                    elapsed: (Date.now() - startTime) / 1000,
+                                    progress: (currentEpoch / epochs) * 100
+                                });
+                            } catch (e) {
+                                logger.warn('Callback error:', e);
+                            }
+                        }
+                        
+                        if (epoch % 3 === 0) {
+                            await tf.nextFrame();
+                        }
+                    },
+                    onTrainEnd: () => {
+                        const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+                        this.trainingSummary = monitor.finish(this.model, this.cancelled);
+                        this.isTrained = !this.cancelled;
+                        
+                        if (callbacks.onTrainEnd) {
+                            try {
+                                callbacks.onTrainEnd(totalTime);
+                            } catch (e) {
+                                logger.warn('Callback error:', e);
+                            }
+                        }
+                        
+                        logger.log(`✅ Training completed in ${totalTime}s`);
+                    }
+                }
+            });
+            
+            this.isTrained = !this.cancelled;
+            return this.trainingHistory;
+            
+        } catch (error) {
+            logger.error('Training error:', error);
+            this.isTrained = false;
+            throw error;
+        } finally {
+            monitor.disposeSnapshot();
+        }
+    }
+
+    // Прерывает fit() после текущего батча; недообученная модель не считается обученной
+    stop() {
+        this.cancelled = true;
+        if (this.model) {
+            this.model.stopTraining = true;
+        }
+    }
+
+    async predict(X) {
+        if (!X) {
+            throw new Error('Input data not provided');
+        }
+        this.requireTrained('predict');
+        this.checkInputs(X, null, 'Prediction');
+        
+        const predictions = this.model.predict(X);
+        try {
+            return await predictions.array();
+        } finally {
+            predictions.dispose();
+        }
+    }
+
+    // Ошибки считаются после денормализации — в единицах дневной доходности
+    evaluate(X_test, y_test, denormalize = value => value) {
+        this.requireTrained('evaluate');
+        this.checkInputs(X_test, y_test, 'Test');
+        if (X_test.shape[0] === 0) {
+            throw new DataInsufficientError('No test samples to evaluate the model on', { samples: 0 });
+        }
+
+        const evaluation = this.model.evaluate(X_test, y_test, { 
+            batchSize: Math.min(128, X_test.shape[0]),
+            verbose: 0 
+        });
+        const loss = evaluation[0].arraySync();
+        const mse = evaluation[1] ? evaluation[1].arraySync() : loss;
+        
+        if (evaluation[0]) evaluation[0].dispose();
+        if (evaluation[1]) evaluation[1].dispose();
+        
+        const predictions = this.model.predict(X_test);
+        const predicted = predictions.arraySync().map(row => row.map(denormalize));
+        const actual = y_test.arraySync().map(row => row.map(denormalize));
+        predictions.dispose();
+        
+        const { steps, overall } = horizonMetrics(actual, predicted);
+        
+        return {
+            loss,
+            mse,
+            rmse: overall.rmse,
+            mae: overall.mae,
+            hitRate: overall.hitRate,
+            r2: overall.r2,
+            mape: overall.mape,
+            normalizedRmse: Math.sqrt(mse),
+            horizon: steps,
+            residuals: actual.map((row, i) => row.map((value, h) => value - predicted[i][h]))
+        };
+    }
+
+    requireTrained(action) {
+        if (!this.model || !this.isTrained) {
+            throw new NotTrainedError(`Cannot ${action}: the ${this.describe()} model is not trained yet`, { action });
+        }
+    }
+
+    // Окно и число признаков должны совпадать с теми, под которые собрана модель
+    checkInputs(X, y, label) {
+        assertShape(X, [null, this.windowSize, this.numFeatures], `${label} input`);
+        if (y) {
+            assertShape(y, [X.shape[0], this.predictionHorizon], `${label} targets`);
+        }
+    }
+
+    // Параметры скейлеров, обученных на той же выборке, что и модель
+    setNormalization(params) {
+        this.normalization = params ? JSON.parse(JSON.stringify(params)) : null;
+    }
+
+    // Результат evaluate(): сводные метрики отдельно, остатки — для интервалов прогноза
+    setEvaluation(evaluation) {
+        if (!evaluation) {
+            this.metrics = null;
+            this.residuals = null;
+            return;
+        }
+        const { residuals, ...metrics } = evaluation;
+        this.metrics = metrics;
+        this.residuals = residuals || null;
+    }
+
+    getMetadata() {
+        return {
+            config: this.config,
+            windowSize: this.windowSize,
+            predictionHorizon: this.predictionHorizon,
+            numFeatures: this.numFeatures,
+            normalization: this.normalization,
+            metrics: this.metrics,
+            trainingSummary: this.trainingSummary,
+            residuals: this.residuals
+        };
+    }
+
+    // url: 'indexeddb://...' или 'downloads://...'; метаданные уходят в model.json
+    async save(url, extraMetadata = {}) {
+        this.requireTrained('save');
+        this.model.setUserDefinedMetadata({ ...this.getMetadata(), ...extraMetadata });
+        return this.model.save(url);
+    }
+
+    static async load(source) {
+        const layersModel = await tf.loadLayersModel(source);
+        const metadata = layersModel.getUserDefinedMetadata() || {};
+        const [, windowSize, numFeatures] = layersModel.inputs[0].shape;
+
+        // Модели без сохранённой конфигурации — это исходный GRU
+        const instance = new SequenceForecaster(
+            metadata.windowSize || windowSize,
+            metadata.predictionHorizon || layersModel.outputs[0].shape[1],
+            metadata.numFeatures || numFeatures,
+            metadata.config || {}
+        );
+        instance.model = layersModel;
+        instance.compileModel();
+        instance.isTrained = true;
+        instance.normalization = metadata.normalization || null;
+        instance.metrics = metadata.metrics || null;
+        instance.trainingSummary = metadata.trainingSummary || null;
+        instance.residuals = metadata.residuals || null;
+
+        logger.log(`✅ Model loaded: ${instance.describe()} (input: ${instance.windowSize}×${instance.numFeatures})`);
+        return { model: instance, metadata };
+    }
+
+    // Ширина входа следует за числом выбранных признаков; при смене модель пересобирается
+    setNumFeatures(numFeatures) {
+        if (numFeatures !== this.numFeatures) {
+            this.numFeatures = numFeatures;
+            this.dispose();
+        }
+    }
+
+    dispose() {
+        if (this.model) {
+            // Оптимизатор передан в compile() экземпляром — модель его не освобождает
+            if (this.model.optimizer) this.model.optimizer.dispose();
+            this.model.dispose();
+            this.model = null;
+        }
+        this.isTrained = false;
+    }
+}
+
+// Прежнее имя оставлено для совместимости
+const GRUModel = SequenceForecaster;
+
+export { SequenceForecaster, GRUModel, MODEL_TYPES, DEFAULT_MODEL_CONFIG, normalizeModelConfig };
@@ -0,0 +1,199 @@
+// hyperparameter-search.js (подбор гиперпараметров: grid / random, валидация с учётом времени)
+// Работает с простыми массивами, поэтому запускается и в Web Worker, и в основном потоке.
+import { SequenceForecaster } from './gru.js';
+import { Scaler } from './scaler.js';
+import { summarize } from './metrics.js';
+import { createRandom } from './intervals.js';
+import { logger } from './logger.js';
+
+const DEFAULT_SEARCH_SPACE = {
+    windowSize: [20, 40, 60],
+    predictionHorizon: [5],
+    units: [8, 16, 32],
+    learningRate: [0.001, 0.01],
+    epochs: [5, 12]
+};
+
+class HyperparameterSearch {
+    // series: { returns, matrix, columns, warmup, dates, scalerMethod } — см. seriesFrom()
+    constructor(series, options = {}) {
+        this.series = series;
+        this.options = {
+            strategy: 'grid',       // 'grid' | 'random'
+            trials: 20,             // число случайных конфигураций
+            space: DEFAULT_SEARCH_SPACE,
+            validationRatio: 0.2,   // доля периода до теста, отданная под валидацию
+            testSplit: 0.2,         // последние даты не участвуют в поиске вообще
+            modelConfig: {},        // архитектура; units и learningRate перебираются
+            seed: 42,
+            ...options
+        };
+        this.cancelled = false;
+    }
+
+    // Сериализуемый снимок данных для передачи в воркер
+    static seriesFrom(dataLoader) {
+        const { matrix, columns, warmup } = dataLoader.getFeatureMatrix();
+        return {
+            returns: [...dataLoader.returns],
+            matrix,
+            columns,
+            warmup,
+            dates: [...dataLoader.dateLabels],
+            scalerMethod: dataLoader.scalerMethod
+        };
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Декартово произведение; для random — случайная выборка без повторов
+    buildTrials() {
+        const { space, strategy, trials, seed } = this.options;
+        const keys = Object.keys(DEFAULT_SEARCH_SPACE);
+        let grid = [{}];
+        keys.forEach(key => {
+            const values = space[key] && space[key].length > 0 ? space[key] : DEFAULT_SEARCH_SPACE[key];
+            grid = grid.flatMap(params => values.map(value => ({ ...params, [key]: value })));
+        });
+
+        if (strategy !== 'random' || trials >= grid.length) {
+            return grid;
+        }
+
+        const random = createRandom(seed);
+        for (let i = grid.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [grid[i], grid[j]] = [grid[j], grid[i]];
+        }
+        return grid.slice(0, trials);
+    }
+
+    // Границы в индексах доходностей — одинаковые для всех конфигураций, поэтому
+    // окна и горизонты разной длины сравниваются на одних и тех же датах валидации.
+    getBoundaries() {
+        const { validationRatio, testSplit } = this.options;
+        const total = this.series.returns.length;
+        const testStart = Math.floor(total * (1 - testSplit));
+        const validationStart = Math.floor(testStart - (testStart - this.series.warmup) * validationRatio);
+        return { validationStart, testStart };
+    }
+
+    async run(callbacks = {}) {
+        const trials = this.buildTrials();
+        const rows = [];
+        this.cancelled = false;
+
+        logger.log(`Hyperparameter search: ${trials.length} trials (${this.options.strategy})`);
+
+        for (let i = 0; i < trials.length; i++) {
+            if (this.cancelled) break;
+
+            const startTime = Date.now();
+            let row;
+            try {
+                row = { trial: i + 1, params: trials[i], ...(await this.evaluateTrial(trials[i])) };
+            } catch (error) {
+                row = { trial: i + 1, params: trials[i], error: error.message };
+            }
+            row.seconds = (Date.now() - startTime) / 1000;
+            rows.push(row);
+
+            if (callbacks.onTrialEnd) {
+                callbacks.onTrialEnd(row, trials.length);
+            }
+
+            // Отдаём управление циклу событий — иначе сообщение об отмене не дойдёт
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const scored = rows.filter(row => !row.error);
+        const best = scored.length > 0
+            ? scored.reduce((a, b) => (b.day1.rmse < a.day1.rmse ? b : a))
+            : null;
+
+        return { options: { ...this.options }, rows, best, cancelled: this.cancelled };
+    }
+
+    async evaluateTrial(params) {
+        const { returns, matrix, columns, warmup, dates, scalerMethod } = this.series;
+        const { windowSize, predictionHorizon, units, learningRate, epochs } = params;
+        const { validationStart, testStart } = this.getBoundaries();
+
+        // Выборка i: вход — строки [warmup + i, +windowSize), цели начинаются с t0 = warmup + i + windowSize
+        const offset = warmup + windowSize;
+        const trainEnd = validationStart - predictionHorizon + 1 - offset;
+        const validationFrom = validationStart - offset;
+        const validationTo = testStart - predictionHorizon + 1 - offset;
+        if (trainEnd < 50 || validationTo - validationFrom < 1) {
+            throw new Error(`Not enough data for window ${windowSize} / horizon ${predictionHorizon}`);
+        }
+
+        // Скейлеры видят только даты до начала валидации
+        const scalers = {
+            target: new Scaler(scalerMethod).fit(returns.slice(warmup, validationStart)),
+            features: columns.map((_, col) => new Scaler(scalerMethod)
+                .fit(matrix.slice(warmup, validationStart).map(row => row[col])))
+        };
+
+        const train = this.buildTensors(params, scalers, 0, trainEnd);
+        const validation = this.buildTensors(params, scalers, validationFrom, validationTo);
+        const model = new SequenceForecaster(windowSize, predictionHorizon, columns.length, {
+            ...this.options.modelConfig,
+            units,
+            learningRate
+        });
+
+        try {
+            model.buildModel();
+            await model.train(train.X, train.y, epochs);
+            const predicted = await model.predict(validation.X);
+
+            const actualRows = [];
+            const predictedRows = [];
+            predicted.forEach((row, i) => {
+                const t = offset + validationFrom + i;
+                actualRows.push(returns.slice(t, t + predictionHorizon));
+                predictedRows.push(row.map(v => scalers.target.inverseValue(v)));
+            });
+
+            return {
+                trainSamples: train.count,
+                validationSamples: validation.count,
+                validationFrom: dates[validationStart + 1],
+                validationTo: dates[testStart - predictionHorizon + 1],
+                day1: summarize(actualRows.map(row => row[0]), predictedRows.map(row => row[0])),
+                allHorizons: summarize(actualRows.flat(), predictedRows.flat())
+            };
+        } finally {
+            model.dispose();
+            [train.X, train.y, validation.X, validation.y].forEach(tensor => tensor.dispose());
+        }
+    }
+
+    buildTensors(params, scalers, from, to) {
+        const { returns, matrix, warmup } = this.series;
+        const { windowSize, predictionHorizon } = params;
+        const count = to - from;
+        const width = scalers.features.length;
+
+        const sequences = new Array(count);
+        const targets = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const t = warmup + from + i;
+            sequences[i] = matrix.slice(t, t + windowSize).map(row =>
+                row.map((value, col) => scalers.features[col].transformValue(value))
+            );
+            targets[i] = scalers.target.transform(returns.slice(t + windowSize, t + windowSize + predictionHorizon));
+        }
+
+        return {
+            count,
+            X: tf.tensor3d(sequences, [count, windowSize, width]),
+            y: tf.tensor2d(targets, [count, predictionHorizon])
+        };
+    }
+}
+
+export { HyperparameterSearch, DEFAULT_SEARCH_SPACE };
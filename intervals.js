@@ -0,0 +1,69 @@
+// intervals.js (интервалы прогноза: бутстрэп остатков тестовой выборки)
+import { quantile } from './metrics.js';
+
+const QUANTILES = { p5: 0.05, p25: 0.25, p50: 0.5, p75: 0.75, p95: 0.95 };
+
+// Детерминированный ГПСЧ (mulberry32), чтобы интервалы не «прыгали» между перерисовками
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class ResidualBootstrap {
+    // residuals: строки [horizon] ошибок (факт − прогноз) на тестовой выборке
+    constructor(residuals, options = {}) {
+        if (!residuals || residuals.length === 0) {
+            throw new Error('No test residuals available for prediction intervals');
+        }
+        this.residuals = residuals;
+        this.paths = options.paths || 2000;
+        this.seed = options.seed || 42;
+    }
+
+    // Ресэмплируем целые строки остатков — сохраняется корреляция ошибок между днями горизонта.
+    // Прогноз длиннее строки (рекурсивный) покрывается блоками из новых случайных строк.
+    simulate(pointForecast, lastPrice) {
+        const random = createRandom(this.seed);
+        const horizon = pointForecast.length;
+        const blockLength = this.residuals[0].length;
+        const returnSamples = Array.from({ length: horizon }, () => new Array(this.paths));
+        const priceSamples = Array.from({ length: horizon }, () => new Array(this.paths));
+
+        for (let path = 0; path < this.paths; path++) {
+            let residual = null;
+            let price = lastPrice;
+            for (let h = 0; h < horizon; h++) {
+                if (h % blockLength === 0) {
+                    residual = this.residuals[Math.floor(random() * this.residuals.length)];
+                }
+                const simulated = pointForecast[h] + (residual[h % blockLength] || 0);
+                price *= 1 + simulated;
+                returnSamples[h][path] = simulated;
+                priceSamples[h][path] = price;
+            }
+        }
+
+        return {
+            paths: this.paths,
+            returns: returnSamples.map(samples => this.summarize(samples)),
+            prices: priceSamples.map(samples => this.summarize(samples))
+        };
+    }
+
+    summarize(samples) {
+        const sorted = [...samples].sort((a, b) => a - b);
+        const result = {};
+        Object.entries(QUANTILES).forEach(([key, q]) => {
+            result[key] = quantile(sorted, q);
+        });
+        return result;
+    }
+}
+
+export { ResidualBootstrap, QUANTILES, createRandom };
@@ -0,0 +1,32 @@
+// logger.js (журнал модулей, которые используют и браузер, и Node-конвейер)
+// В браузере журнал идёт в консоль; pipeline.js подставляет свой, чтобы библиотека не писала в stdout.
+
+const consoleLogger = {
+    log: (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+// Для CLI с --verbose: всё в stderr, stdout остаётся под результат
+const stderrLogger = {
+    log: (...args) => console.error(...args),
+    warn: (...args) => console.error(...args),
+    error: (...args) => console.error(...args)
+};
+
+let current = consoleLogger;
+
+const logger = {
+    log: (...args) => current.log(...args),
+    warn: (...args) => current.warn(...args),
+    error: (...args) => current.error(...args)
+};
+
+// next — объект с log/warn/error; null возвращает консоль
+function setLogger(next) {
+    current = next || consoleLogger;
+}
+
+export { logger, setLogger, consoleLogger, silentLogger, stderrLogger };
@@ -0,0 +1,116 @@
+// metrics.js (метрики ошибок прогноза в пространстве доходностей)
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : NaN;
+}
+
+// Линейная интерполяция между соседними элементами отсортированного массива
+function quantile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const base = Math.floor(pos);
+    const rest = pos - base;
+    return sorted[base + 1] !== undefined
+        ? sorted[base] + rest * (sorted[base + 1] - sorted[base])
+        : sorted[base];
+}
+
+function rmse(actual, predicted) {
+    return Math.sqrt(mean(actual.map((a, i) => (a - predicted[i]) ** 2)));
+}
+
+function mae(actual, predicted) {
+    return mean(actual.map((a, i) => Math.abs(a - predicted[i])));
+}
+
+// Доля совпадений знака (нулевой прогноз считается промахом)
+function directionalAccuracy(actual, predicted) {
+    return mean(actual.map((a, i) => (Math.sign(a) === Math.sign(predicted[i]) && predicted[i] !== 0 ? 1 : 0)));
+}
+
+function rSquared(actual, predicted) {
+    const actualMean = mean(actual);
+    const ssTot = actual.reduce((sum, a) => sum + (a - actualMean) ** 2, 0);
+    const ssRes = actual.reduce((sum, a, i) => sum + (a - predicted[i]) ** 2, 0);
+    return ssTot > 0 ? 1 - ssRes / ssTot : NaN;
+}
+
+// MAPE по уровням цены: доходности накапливаются в путь цены, базовая цена сокращается
+function priceMape(actualRows, predictedRows, step) {
+    return mean(actualRows.map((actual, i) => {
+        let actualPath = 1;
+        let predictedPath = 1;
+        for (let h = 0; h <= step; h++) {
+            actualPath *= 1 + actual[h];
+            predictedPath *= 1 + predictedRows[i][h];
+        }
+        return Math.abs(predictedPath - actualPath) / actualPath;
+    }));
+}
+
+// Метрики для каждого шага горизонта (Day +1 ... Day +H) и по всем шагам сразу
+function horizonMetrics(actualRows, predictedRows) {
+    const horizon = actualRows.length > 0 ? actualRows[0].length : 0;
+    const steps = Array.from({ length: horizon }, (_, h) => {
+        const actual = actualRows.map(row => row[h]);
+        const predicted = predictedRows.map(row => row[h]);
+        return {
+            step: h + 1,
+            ...summarize(actual, predicted),
+            r2: rSquared(actual, predicted),
+            mape: priceMape(actualRows, predictedRows, h)
+        };
+    });
+
+    const actualFlat = actualRows.flat();
+    const predictedFlat = predictedRows.flat();
+    return {
+        steps,
+        overall: {
+            ...summarize(actualFlat, predictedFlat),
+            r2: rSquared(actualFlat, predictedFlat),
+            mape: mean(steps.map(s => s.mape))
+        }
+    };
+}
+
+// Аппроксимация Абрамовица–Стиган для функции ошибок
+function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Тест Диболда–Мариано: d_t = L(A) - L(B), дисперсия с поправкой Ньюи–Уэста на h - 1 лагов.
+// Отрицательная статистика — у A потери меньше, чем у B.
+function dieboldMariano(lossA, lossB, horizon = 1) {
+    const d = lossA.map((loss, i) => loss - lossB[i]);
+    const n = d.length;
+    if (n < 2) return { stat: NaN, pValue: NaN };
+
+    const dMean = mean(d);
+    let longRunVar = 0;
+    for (let lag = 0; lag < horizon; lag++) {
+        let cov = 0;
+        for (let t = lag; t < n; t++) {
+            cov += (d[t] - dMean) * (d[t - lag] - dMean);
+        }
+        cov /= n;
+        longRunVar += lag === 0 ? cov : 2 * cov;
+    }
+
+    if (!(longRunVar > 0)) return { stat: NaN, pValue: NaN };
+    const stat = dMean / Math.sqrt(longRunVar / n);
+    return { stat, pValue: 2 * (1 - normalCdf(Math.abs(stat))) };
+}
+
+function summarize(actual, predicted) {
+    return {
+        count: actual.length,
+        rmse: rmse(actual, predicted),
+        mae: mae(actual, predicted),
+        hitRate: directionalAccuracy(actual, predicted)
+    };
+}
+
+export { mean, quantile, rmse, mae, directionalAccuracy, rSquared, priceMape, horizonMetrics, normalCdf, dieboldMariano, summarize };
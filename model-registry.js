@@ -0,0 +1,135 @@
+// model-registry.js (сохранение и версии обученных моделей в браузере)
+// Веса живут в IndexedDB (tf.io), индекс версий с метаданными — в localStorage.
+import { SequenceForecaster } from './gru.js';
+import { logger } from './logger.js';
+
+const STORAGE_KEY = 'stockPredictor.modelRegistry';
+const MODEL_PREFIX = 'indexeddb://stock-predictor-';
+
+class ModelRegistry {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    list() {
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+        } catch (error) {
+            logger.warn('Corrupted model registry, resetting:', error);
+            return [];
+        }
+    }
+
+    get(id) {
+        const entry = this.list().find(item => item.id === id);
+        if (!entry) {
+            throw new Error(`Saved model not found: ${id}`);
+        }
+        return entry;
+    }
+
+    writeIndex(entries) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    // info: { name, asset, dateRange, features } — сведения о данных, на которых обучали
+    async save(model, info = {}) {
+        const entries = this.list();
+        const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        const version = entries.filter(entry => entry.asset === info.asset).length + 1;
+
+        const entry = {
+            id,
+            name: info.name || `${info.asset || 'Model'} v${version}`,
+            createdAt: new Date().toISOString(),
+            asset: info.asset || null,
+            dateRange: info.dateRange || null,
+            windowSize: model.windowSize,
+            predictionHorizon: model.predictionHorizon,
+            numFeatures: model.numFeatures,
+            config: { ...model.config },
+            architecture: model.describe(),
+            features: model.normalization?.features || [],
+            scalerMethod: model.normalization?.method || null,
+            metrics: this.summarizeMetrics(model.metrics)
+        };
+
+        await model.save(`${MODEL_PREFIX}${id}`, { registryEntry: entry });
+        entries.push(entry);
+        this.writeIndex(entries);
+
+        logger.log('💾 Model saved:', entry.name);
+        return entry;
+    }
+
+    async load(id) {
+        const entry = this.get(id);
+        const { model } = await SequenceForecaster.load(`${MODEL_PREFIX}${id}`);
+        return { model, entry };
+    }
+
+    rename(id, name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Model name cannot be empty');
+        }
+        const entries = this.list();
+        const entry = entries.find(item => item.id === id);
+        if (!entry) {
+            throw new Error(`Saved model not found: ${id}`);
+        }
+        entry.name = trimmed;
+        this.writeIndex(entries);
+        return entry;
+    }
+
+    async remove(id) {
+        try {
+            await tf.io.removeModel(`${MODEL_PREFIX}${id}`);
+        } catch (error) {
+            logger.warn('Model weights already missing:', error.message);
+        }
+        this.writeIndex(this.list().filter(entry => entry.id !== id));
+    }
+
+    // Скачивает model.json (с метаданными) и веса
+    async download(id) {
+        const { model, entry } = await this.load(id);
+        try {
+            const fileName = entry.name.replace(/[^\w.-]+/g, '_');
+            await model.save(`downloads://${fileName}`, { registryEntry: entry });
+        } finally {
+            model.dispose();
+        }
+    }
+
+    // Импорт из файлов model.json + *.bin, скачанных ранее
+    async importFiles(files) {
+        const list = [...files];
+        const jsonFile = list.find(file => file.name.endsWith('.json'));
+        const weightFiles = list.filter(file => file !== jsonFile);
+        if (!jsonFile || weightFiles.length === 0) {
+            throw new Error('Select the model .json file together with its weights .bin file');
+        }
+
+        const { model, metadata } = await SequenceForecaster.load(tf.io.browserFiles([jsonFile, ...weightFiles]));
+        try {
+            const original = metadata.registryEntry || {};
+            return await this.save(model, {
+                name: original.name ? `${original.name} (imported)` : jsonFile.name.replace(/\.json$/, ''),
+                asset: original.asset,
+                dateRange: original.dateRange
+            });
+        } finally {
+            model.dispose();
+        }
+    }
+
+    summarizeMetrics(metrics) {
+        if (!metrics) return null;
+        const { rmse, mae, hitRate, r2, mape } = metrics;
+        return { rmse, mae, hitRate, r2, mape };
+    }
+}
+
+export { ModelRegistry };
@@ -0,0 +1,180 @@
+// performance.js (метрики доходности стратегий и рядов цен: просадки, CAGR, Sharpe, Sortino)
+import { mean, quantile } from './metrics.js';
+
+const TRADING_DAYS = 252;
+
+// Просадка от текущего максимума для каждой точки ряда (0 … 1)
+function drawdownSeries(values) {
+    const drawdowns = new Array(values.length).fill(0);
+    let peak = values[0];
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] > peak) peak = values[i];
+        drawdowns[i] = (peak - values[i]) / peak;
+    }
+    return drawdowns;
+}
+
+function maxDrawdown(values) {
+    return drawdownSeries(values).reduce((max, dd) => Math.max(max, dd), 0);
+}
+
+function stdDev(values) {
+    const avg = mean(values);
+    return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+}
+
+// Кривая капитала из дневных доходностей, начиная с 1
+function equityCurve(returns, start = 1) {
+    const equity = [start];
+    returns.forEach(r => equity.push(equity[equity.length - 1] * (1 + r)));
+    return equity;
+}
+
+function cagr(returns, periodsPerYear = TRADING_DAYS) {
+    if (returns.length === 0) return NaN;
+    const growth = returns.reduce((value, r) => value * (1 + r), 1);
+    return growth > 0 ? growth ** (periodsPerYear / returns.length) - 1 : -1;
+}
+
+// riskFreeRate — годовая ставка, вычитается из доходности каждого периода
+function sharpeRatio(returns, periodsPerYear = TRADING_DAYS, riskFreeRate = 0) {
+    const sd = stdDev(returns);
+    return sd > 0 ? (mean(returns) - riskFreeRate / periodsPerYear) / sd * Math.sqrt(periodsPerYear) : NaN;
+}
+
+// Отклонение вниз считается относительно безрисковой ставки по всем дням, не только отрицательным
+function sortinoRatio(returns, periodsPerYear = TRADING_DAYS, riskFreeRate = 0) {
+    const target = riskFreeRate / periodsPerYear;
+    const downside = Math.sqrt(mean(returns.map(r => Math.min(r - target, 0) ** 2)));
+    return downside > 0 ? (mean(returns) - target) / downside * Math.sqrt(periodsPerYear) : NaN;
+}
+
+function calmarRatio(returns, periodsPerYear = TRADING_DAYS) {
+    const worst = maxDrawdown(equityCurve(returns));
+    return worst > 0 ? cagr(returns, periodsPerYear) / worst : NaN;
+}
+
+// Бета к бенчмарку: cov(актив, бенчмарк) / var(бенчмарк) по одним и тем же периодам
+function beta(returns, benchmarkReturns) {
+    const n = Math.min(returns.length, benchmarkReturns.length);
+    if (n < 2) return NaN;
+    const avg = mean(returns.slice(0, n));
+    const benchmarkAvg = mean(benchmarkReturns.slice(0, n));
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (returns[i] - avg) * (benchmarkReturns[i] - benchmarkAvg);
+        variance += (benchmarkReturns[i] - benchmarkAvg) ** 2;
+    }
+    return variance > 0 ? covariance / variance : NaN;
+}
+
+function skewness(values) {
+    const avg = mean(values);
+    const sd = stdDev(values);
+    return sd > 0 ? mean(values.map(v => ((v - avg) / sd) ** 3)) : NaN;
+}
+
+// Эксцесс относительно нормального распределения (у нормального — 0)
+function excessKurtosis(values) {
+    const avg = mean(values);
+    const sd = stdDev(values);
+    return sd > 0 ? mean(values.map(v => ((v - avg) / sd) ** 4)) - 3 : NaN;
+}
+
+// Обратная функция нормального распределения (рациональная аппроксимация Акклама)
+function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+    if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+    if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// VaR и CVaR за один период как положительная доля потерь (0.02 = можно потерять 2%)
+function historicalVaR(returns, confidence = 0.95) {
+    const sorted = [...returns].sort((a, b) => a - b);
+    return -quantile(sorted, 1 - confidence);
+}
+
+function historicalCVaR(returns, confidence = 0.95) {
+    const threshold = -historicalVaR(returns, confidence);
+    return -mean(returns.filter(r => r <= threshold));
+}
+
+function parametricVaR(returns, confidence = 0.95) {
+    return normalQuantile(confidence) * stdDev(returns) - mean(returns);
+}
+
+// Ожидаемые потери в хвосте нормального распределения: σ·φ(z) / (1 − c) − μ
+function parametricCVaR(returns, confidence = 0.95) {
+    const z = normalQuantile(confidence);
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    return stdDev(returns) * density / (1 - confidence) - mean(returns);
+}
+
+// Эпизоды просадок: от пика до возврата на уровень пика (recovery = null, если ещё не восстановились).
+// Длительности — в периодах ряда (торговых днях для дневных данных).
+function drawdownPeriods(values, dates) {
+    const periods = [];
+    let peak = 0;
+    let current = null;
+
+    for (let i = 1; i < values.length; i++) {
+        if (values[i] >= values[peak]) {
+            if (current) {
+                current.recovery = i;
+                periods.push(current);
+                current = null;
+            }
+            peak = i;
+            continue;
+        }
+        const depth = (values[peak] - values[i]) / values[peak];
+        if (!current) current = { peak, trough: i, recovery: null, depth };
+        if (depth > current.depth) {
+            current.trough = i;
+            current.depth = depth;
+        }
+    }
+    if (current) periods.push(current);
+
+    const last = values.length - 1;
+    return periods.map(({ peak, trough, recovery, depth }) => ({
+        depth,
+        peakDate: dates[peak],
+        troughDate: dates[trough],
+        recoveryDate: recovery !== null ? dates[recovery] : null,
+        duration: (recovery ?? last) - peak,
+        recoveryDuration: recovery !== null ? recovery - trough : null
+    }));
+}
+
+export {
+    TRADING_DAYS,
+    drawdownSeries,
+    maxDrawdown,
+    drawdownPeriods,
+    stdDev,
+    equityCurve,
+    cagr,
+    sharpeRatio,
+    sortinoRatio,
+    calmarRatio,
+    beta,
+    skewness,
+    excessKurtosis,
+    normalQuantile,
+    historicalVaR,
+    historicalCVaR,
+    parametricVaR,
+    parametricCVaR
+};
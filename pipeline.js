@@ -0,0 +1,242 @@
+// pipeline.js (тот же конвейер, что и в браузере, для Node: CSV с диска, обучение, оценка, прогноз, бэктест)
+// Модели сохраняются в каталог как model.json + weights.bin — формат tfjs-node file://.
+import './tf-node.js';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { DataLoader } from './data-loader.js';
+import { FEATURES } from './features.js';
+import { SequenceForecaster } from './gru.js';
+import { compareWithBaselines } from './baselines.js';
+import { StrategyBacktester } from './backtest.js';
+import { RecursiveForecaster } from './recursive-forecast.js';
+import { ResidualBootstrap } from './intervals.js';
+import { NotTrainedError } from './errors.js';
+import { logger, setLogger, silentLogger } from './logger.js';
+
+const MODEL_FILE = 'model.json';
+const WEIGHTS_FILE = 'weights.bin';
+
+const DEFAULT_PIPELINE_OPTIONS = {
+    windowSize: 60,
+    predictionHorizon: 5,
+    testSplit: 0.2,
+    features: null,         // null — признаки DataLoader по умолчанию
+    scalerMethod: 'minmax',
+    // Журнал DataLoader, модели и бэктеста ({ log, warn, error }); по умолчанию библиотека молчит
+    logger: silentLogger
+};
+
+// Обработчики tf.io для каталога на диске; работают и без нативного бэкенда
+function fileSaveHandler(dir) {
+    return tf.io.withSaveHandler(async artifacts => {
+        await mkdir(dir, { recursive: true });
+        const weightData = tf.io.CompositeArrayBuffer.join(artifacts.weightData);
+        const modelJSON = {
+            modelTopology: artifacts.modelTopology,
+            format: artifacts.format,
+            generatedBy: artifacts.generatedBy,
+            convertedBy: artifacts.convertedBy,
+            weightsManifest: [{ paths: [WEIGHTS_FILE], weights: artifacts.weightSpecs }],
+            userDefinedMetadata: artifacts.userDefinedMetadata
+        };
+        await writeFile(path.join(dir, MODEL_FILE), JSON.stringify(modelJSON));
+        await writeFile(path.join(dir, WEIGHTS_FILE), Buffer.from(weightData));
+        return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts) };
+    });
+}
+
+function fileLoadHandler(dir) {
+    return {
+        load: async () => {
+            const modelJSON = JSON.parse(await readFile(path.join(dir, MODEL_FILE), 'utf8'));
+            const buffers = [];
+            for (const group of modelJSON.weightsManifest) {
+                for (const file of group.paths) {
+                    buffers.push(await readFile(path.join(dir, file)));
+                }
+            }
+            const weightData = Buffer.concat(buffers);
+            return {
+                modelTopology: modelJSON.modelTopology,
+                format: modelJSON.format,
+                generatedBy: modelJSON.generatedBy,
+                convertedBy: modelJSON.convertedBy,
+                weightSpecs: modelJSON.weightsManifest.flatMap(group => group.weights),
+                weightData: weightData.buffer.slice(weightData.byteOffset, weightData.byteOffset + weightData.byteLength),
+                userDefinedMetadata: modelJSON.userDefinedMetadata
+            };
+        }
+    };
+}
+
+class StockPipeline {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_PIPELINE_OPTIONS, ...options };
+        // Опечатка в ключе не должна молча выкидывать признак из модели
+        const unknown = (this.options.features || []).filter(key => !FEATURES[key]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown feature${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Valid features: ${Object.keys(FEATURES).join(', ')}`);
+        }
+        // Журнал общий для модулей: действует последний созданный конвейер
+        setLogger(this.options.logger);
+        this.dataLoader = new DataLoader();
+        this.model = null;
+        this.modelInfo = null;
+    }
+
+    // loadOptions: { assetName, csvOptions, range: { start, end } } — как у loadCSVFromText плюс период анализа
+    async load(csvPath, loadOptions = {}) {
+        const { range, ...options } = loadOptions;
+        const content = await readFile(csvPath, 'utf8');
+        this.dataLoader.loadCSVFromText(content, path.basename(csvPath), options);
+        if (range && (range.start || range.end)) {
+            const dates = this.dataLoader.dateLabels;
+            this.dataLoader.setDateRange(range.start || dates[0], range.end || dates[dates.length - 1]);
+        }
+        return this.describeData();
+    }
+
+    describeData() {
+        const loader = this.dataLoader;
+        const report = loader.getParseReport();
+        return {
+            asset: loader.activeAsset,
+            source: loader.source,
+            rows: loader.data.length,
+            firstDate: loader.dateLabels[0],
+            lastDate: loader.dateLabels[loader.dateLabels.length - 1],
+            lastPrice: loader.data[loader.data.length - 1].price,
+            range: loader.dateRange,
+            skippedRows: report ? report.skipped.length : 0,
+            features: loader.getFeatureList().filter(feature => feature.available).map(feature => feature.key)
+        };
+    }
+
+    // Сводные группы инсайтов; ряды для графиков (волатильность, SMA) не выгружаются
+    insights() {
+        return Object.fromEntries(Object.entries(this.dataLoader.getInsights())
+            .filter(([, value]) => value && typeof value === 'object' && !Array.isArray(value) && !value.dates));
+    }
+
+    // normalization — параметры скейлеров сохранённой модели: данные готовятся ровно так, как при обучении
+    prepare(normalization = null) {
+        const { windowSize, predictionHorizon, testSplit, scalerMethod } = this.options;
+        const features = normalization?.features || this.options.features || this.dataLoader.features;
+        this.dataLoader.dispose();
+        this.dataLoader.prepareData(windowSize, predictionHorizon, testSplit, features, scalerMethod, normalization);
+        return this.dataLoader;
+    }
+
+    // callbacks: { onEpochEnd(epoch, logs) } — прогресс для CLI и планировщиков
+    async train(epochs = 12, modelConfig = {}, trainingOptions = {}, callbacks = {}) {
+        const loader = this.prepare();
+        this.disposeModel();
+
+        const { windowSize, predictionHorizon } = this.options;
+        this.model = new SequenceForecaster(windowSize, predictionHorizon, loader.featureCount, modelConfig);
+        this.model.buildModel();
+        this.model.setNormalization(loader.getNormalizationParams());
+
+        await this.model.train(loader.X_train, loader.y_train, epochs, {
+            onEpochEnd: callbacks.onEpochEnd || (() => {})
+        }, trainingOptions);
+
+        const metrics = this.scoreModel();
+        this.modelInfo = {
+            asset: loader.activeAsset,
+            source: loader.source,
+            trainedAt: new Date().toISOString(),
+            dataRange: loader.getTrainingDateRange()
+        };
+        return { model: this.model.describe(), trainingSummary: this.model.trainingSummary, metrics };
+    }
+
+    scoreModel() {
+        const loader = this.dataLoader;
+        const evaluation = this.model.evaluate(loader.X_test, loader.y_test, value => loader.denormalize(value));
+        this.model.setEvaluation(evaluation);
+        return this.model.metrics;
+    }
+
+    async saveModel(dir) {
+        this.requireModel();
+        await this.model.save(fileSaveHandler(dir), { pipeline: this.modelInfo });
+        logger.log(`💾 Model saved to ${dir}`);
+        return path.resolve(dir);
+    }
+
+    // Окно, горизонт и скейлеры берутся из метаданных модели, данные перестраиваются под них
+    async loadModel(dir) {
+        this.disposeModel();
+        const { model, metadata } = await SequenceForecaster.load(fileLoadHandler(dir));
+        this.model = model;
+        this.modelInfo = metadata.pipeline || null;
+        this.options.windowSize = model.windowSize;
+        this.options.predictionHorizon = model.predictionHorizon;
+        this.prepare(model.normalization);
+        return { model: model.describe(), windowSize: model.windowSize, predictionHorizon: model.predictionHorizon, info: this.modelInfo };
+    }
+
+    async testForecasts() {
+        this.requireModel();
+        const loader = this.dataLoader;
+        const predicted = await this.model.predict(loader.X_test);
+        return predicted.map(row => row.map(value => loader.denormalize(value)));
+    }
+
+    // Метрики модели на тестовой части текущего CSV и таблица сравнения с эталонными прогнозами
+    async evaluate() {
+        this.requireModel();
+        const { residuals, horizon, ...metrics } = this.model.evaluate(
+            this.dataLoader.X_test, this.dataLoader.y_test, value => this.dataLoader.denormalize(value)
+        );
+        const leaderboard = compareWithBaselines(this.dataLoader.getRawSamples(), await this.testForecasts(), this.model.describe());
+        return { model: this.model.describe(), metrics, horizon, leaderboard };
+    }
+
+    async predict(days = this.options.predictionHorizon) {
+        this.requireModel();
+        const loader = this.dataLoader;
+        const steps = Math.max(1, Math.floor(days) || this.options.predictionHorizon);
+        const forecaster = new RecursiveForecaster(loader, input => this.model.predict(input),
+            this.model.windowSize, this.model.predictionHorizon);
+        const forecast = await forecaster.forecast(steps);
+
+        const lastPrice = loader.data[loader.data.length - 1].price;
+        const intervals = this.model.residuals
+            ? new ResidualBootstrap(this.model.residuals).simulate(forecast.returns, lastPrice)
+            : null;
+
+        let price = lastPrice;
+        const rows = forecast.returns.map((value, i) => {
+            price *= 1 + value;
+            return { date: forecast.dates[i], return: value, price, ...(intervals ? { interval: intervals.prices[i] } : {}) };
+        });
+        return { lastDate: loader.dateLabels[loader.dateLabels.length - 1], lastPrice, method: forecast.method, directSteps: forecast.directSteps, forecast: rows };
+    }
+
+    async backtest(strategyOptions = {}) {
+        const backtester = new StrategyBacktester(strategyOptions);
+        return backtester.run(this.dataLoader.getRawSamples(), await this.testForecasts());
+    }
+
+    requireModel() {
+        if (!this.model || !this.model.isTrained) {
+            throw new NotTrainedError('No trained model: run train or load a saved model first');
+        }
+    }
+
+    disposeModel() {
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+    }
+
+    dispose() {
+        this.disposeModel();
+        this.dataLoader.dispose();
+    }
+}
+
+export { StockPipeline, DEFAULT_PIPELINE_OPTIONS, fileSaveHandler, fileLoadHandler };
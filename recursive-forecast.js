@@ -0,0 +1,43 @@
+// recursive-forecast.js (прогноз на произвольный горизонт: прогнозы подаются обратно в окно)
+import { nextTradingDays } from './trading-calendar.js';
+
+class RecursiveForecaster {
+    // predict: async (tensor [1, windowSize, features]) => [[нормализованные доходности × horizon]]
+    constructor(dataLoader, predict, windowSize, predictionHorizon) {
+        this.dataLoader = dataLoader;
+        this.predict = predict;
+        this.windowSize = windowSize;
+        this.predictionHorizon = predictionHorizon;
+    }
+
+    // До predictionHorizon дней — один прямой прогноз; дальше модель получает окно,
+    // дополненное собственными прогнозами, блоками по predictionHorizon дней.
+    async forecast(steps) {
+        const { dataLoader, windowSize } = this;
+        const data = dataLoader.data;
+        const dates = nextTradingDays(data[data.length - 1].date, steps);
+        const returns = [];
+
+        while (returns.length < steps) {
+            const window = returns.length === 0
+                ? dataLoader.getLatestWindow(windowSize)
+                : dataLoader.getExtendedWindow(returns, dates.slice(0, returns.length), windowSize);
+            const input = tf.tensor3d([window], [1, windowSize, dataLoader.featureCount]);
+            try {
+                const normalized = await this.predict(input);
+                returns.push(...normalized[0].map(value => dataLoader.denormalize(value)));
+            } finally {
+                input.dispose();
+            }
+        }
+
+        return {
+            returns: returns.slice(0, steps),
+            dates,
+            directSteps: Math.min(steps, this.predictionHorizon),
+            method: steps > this.predictionHorizon ? 'recursive' : 'direct'
+        };
+    }
+}
+
+export { RecursiveForecaster };
@@ -0,0 +1,183 @@
+// report.js (выгрузка результатов: CSV/JSON прогноза и самодостаточный HTML-отчёт с графиками)
+// Отчёт — одна HTML-страница: стили встроены, графики вставлены PNG в data URL,
+// поэтому файл можно приложить к письму или распечатать в PDF из браузера.
+
+// Фон графиков в отчёте и в PNG: подписи Chart.js светлые, на прозрачном фоне их не видно
+const REPORT_BACKGROUND = '#24243e';
+
+function toCSV(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const cell = value => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+}
+
+// Цена по цепочке прогнозных доходностей от последней известной цены; интервалы — из ResidualBootstrap
+function forecastRows(returns, dates, lastPrice, intervals = null) {
+    let price = lastPrice;
+    return returns.map((value, i) => {
+        price *= 1 + value;
+        const row = { date: dates[i], predictedReturn: value, impliedPrice: price };
+        const range = intervals?.prices[i];
+        if (range) {
+            Object.assign(row, { priceP5: range.p5, priceP25: range.p25, priceP75: range.p75, priceP95: range.p95 });
+        }
+        return row;
+    });
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+const pct = (value, digits = 2) => (Number.isFinite(value) ? `${(value * 100).toFixed(digits)}%` : 'N/A');
+const num = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : 'N/A');
+
+function keyValueTable(entries) {
+    const rows = entries
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `<tr><th>${escapeHTML(key)}</th><td>${escapeHTML(value)}</td></tr>`);
+    return `<table class="kv">${rows.join('')}</table>`;
+}
+
+function dataTable(columns, rows) {
+    const head = columns.map(([label]) => `<th>${escapeHTML(label)}</th>`).join('');
+    const body = rows.map(row => `<tr>${columns.map(([, format]) => `<td>${escapeHTML(format(row))}</td>`).join('')}</tr>`).join('');
+    return `<table class="grid"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function section(title, content) {
+    return content ? `<section><h2>${escapeHTML(title)}</h2>${content}</section>` : '';
+}
+
+// report: { title, generatedAt, data, model, metrics, leaderboard, strategy, insights, forecast, charts }.
+// Отсутствующие части (модель не обучена, бэктест не запускали) просто пропускаются.
+function buildReportHTML(report) {
+    const { data, model, metrics, leaderboard, strategy, insights, forecast, charts = [] } = report;
+    const title = report.title || 'Stock Predictor Report';
+
+    const dataSection = data && keyValueTable([
+        ['Asset', data.asset],
+        ['Source', data.source],
+        ['History', `${data.firstDate} → ${data.lastDate} (${data.rows} rows)`],
+        ['Analysis range', data.range ? `${data.range.start} → ${data.range.end}` : 'Full history'],
+        ['Training limited to range', data.limitTrainingToRange ? 'Yes' : 'No']
+    ]);
+
+    const modelSection = model && keyValueTable([
+        ['Architecture', model.name],
+        ['Window / horizon', `${model.windowSize} days → ${model.predictionHorizon} days`],
+        ['Features', (model.features || []).join(', ') || 'returns'],
+        ['Scaler', model.scalerMethod],
+        ['Optimizer', `${model.config.optimizer} (learning rate ${model.config.learningRate})`],
+        ['Loss', model.config.loss],
+        ['Dropout', `${model.config.dropout} / recurrent ${model.config.recurrentDropout}`],
+        ['Training', model.trainingSummary
+            ? `${model.trainingSummary.epochsRun} epochs, ${model.trainingSummary.stopReason}, best epoch ${model.trainingSummary.bestEpoch}`
+            : null]
+    ]);
+
+    const metricsSection = metrics && [
+        keyValueTable([
+            ['RMSE', pct(metrics.rmse, 3)],
+            ['MAE', pct(metrics.mae, 3)],
+            ['Directional accuracy', pct(metrics.hitRate, 1)],
+            ['R²', num(metrics.r2, 3)]
+        ]),
+        metrics.horizon ? dataTable([
+            ['Day', row => row.step],
+            ['RMSE', row => pct(row.rmse, 3)],
+            ['MAE', row => pct(row.mae, 3)],
+            ['Directional acc.', row => pct(row.hitRate, 1)]
+        ], metrics.horizon) : ''
+    ].join('');
+
+    const leaderboardSection = leaderboard && dataTable([
+        ['Model', row => row.name + (row.isModel ? ' ★' : '')],
+        ['RMSE', row => pct(row.rmse, 4)],
+        ['MAE', row => pct(row.mae, 4)],
+        ['Directional acc.', row => pct(row.hitRate, 1)],
+        ['DM p-value', row => num(row.dm.pValue, 3)]
+    ], leaderboard);
+
+    const strategySection = strategy && dataTable([
+        ['', row => row.name],
+        ['CAGR', row => pct(row.metrics.cagr)],
+        ['Volatility', row => pct(row.metrics.volatility)],
+        ['Sharpe', row => num(row.metrics.sharpe)],
+        ['Sortino', row => num(row.metrics.sortino)],
+        ['Max drawdown', row => pct(row.metrics.maxDrawdown)],
+        ['Trades', row => row.metrics.trades]
+    ], [
+        { name: `Strategy (${strategy.period})`, metrics: strategy.strategy },
+        { name: 'Buy & hold (pays entry costs once)', metrics: strategy.buyHold }
+    ]);
+
+    const insightSections = insights ? Object.entries(insights)
+        .filter(([, values]) => values && typeof values === 'object' && !Array.isArray(values) && !values.dates)
+        .map(([group, values]) => `<h3>${escapeHTML(group)}</h3>${keyValueTable(Object.entries(values))}`)
+        .join('') : '';
+
+    const forecastSection = forecast && forecast.length > 0 && dataTable([
+        ['Date', row => row.date],
+        ['Predicted return', row => pct(row.predictedReturn, 3)],
+        ['Implied price', row => num(row.impliedPrice)],
+        ['50% range', row => (row.priceP25 !== undefined ? `${num(row.priceP25)} – ${num(row.priceP75)}` : '—')],
+        ['90% range', row => (row.priceP5 !== undefined ? `${num(row.priceP5)} – ${num(row.priceP95)}` : '—')]
+    ], forecast);
+
+    const chartSection = charts.map(chart => `
+        <figure><img src="${chart.image}" alt="${escapeHTML(chart.title)}"><figcaption>${escapeHTML(chart.title)}</figcaption></figure>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: ${REPORT_BACKGROUND}; color: #f8d7da; margin: 0; padding: 30px; }
+    main { max-width: 1000px; margin: 0 auto; }
+    h1 { color: #ff6b81; margin-bottom: 4px; }
+    h2 { color: #ff6b81; border-bottom: 1px solid rgba(255, 182, 193, 0.3); padding-bottom: 6px; margin-top: 30px; }
+    h3 { color: #ffcc00; text-transform: capitalize; margin-bottom: 6px; }
+    .meta { color: #ffccd5; opacity: 0.8; }
+    table { border-collapse: collapse; margin: 8px 0; font-size: 0.9rem; }
+    table.grid { width: 100%; }
+    th, td { padding: 5px 10px; border-bottom: 1px solid rgba(255, 255, 255, 0.1); text-align: right; }
+    table.kv th, table.grid td:first-child { text-align: left; }
+    th { color: #ffccd5; font-weight: 600; }
+    figure { margin: 20px 0; page-break-inside: avoid; }
+    figure img { width: 100%; border-radius: 8px; }
+    figcaption { color: #ffccd5; font-size: 0.85rem; margin-top: 4px; }
+    section { page-break-inside: avoid; }
+    @media print {
+        body { padding: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+</style>
+</head>
+<body>
+<main>
+    <h1>${escapeHTML(title)}</h1>
+    <p class="meta">Generated ${escapeHTML(report.generatedAt || new Date().toISOString())}</p>
+    ${section('Data', dataSection)}
+    ${section('Model configuration', modelSection)}
+    ${section('Test-split metrics', metricsSection)}
+    ${section('Baseline leaderboard', leaderboardSection)}
+    ${section('Strategy backtest', strategySection)}
+    ${section('Forecast', forecastSection)}
+    ${section('Charts', chartSection)}
+    ${section('Market insights', insightSections)}
+</main>
+</body>
+</html>
+`;
+}
+
+export { REPORT_BACKGROUND, toCSV, forecastRows, buildReportHTML };
@@ -0,0 +1,87 @@
+// scaler.js (нормализация без утечки: fit только на обучающей части)
+import { quantile } from './metrics.js';
+
+const SCALER_METHODS = {
+    minmax: 'Min-Max [0, 1]',
+    zscore: 'Z-score (mean/std)',
+    robust: 'Robust (median/IQR)'
+};
+
+class Scaler {
+    constructor(method = 'minmax') {
+        if (!SCALER_METHODS[method]) {
+            throw new Error(`Unknown scaler method: ${method}`);
+        }
+        this.method = method;
+        this.center = null;
+        this.scale = null;
+        this.fitted = false;
+    }
+
+    // Для всех методов: x' = (x - center) / scale
+    fit(values) {
+        const finite = values.filter(v => Number.isFinite(v));
+        if (finite.length === 0) {
+            throw new Error('Cannot fit scaler on empty data');
+        }
+
+        if (this.method === 'minmax') {
+            const min = Math.min(...finite);
+            const max = Math.max(...finite);
+            this.center = min;
+            this.scale = max - min;
+        } else if (this.method === 'zscore') {
+            const mean = finite.reduce((a, b) => a + b, 0) / finite.length;
+            const variance = finite.reduce((sq, v) => sq + (v - mean) ** 2, 0) / finite.length;
+            this.center = mean;
+            this.scale = Math.sqrt(variance);
+        } else {
+            const sorted = [...finite].sort((a, b) => a - b);
+            this.center = quantile(sorted, 0.5);
+            this.scale = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+        }
+
+        // Константный ряд не должен давать деление на ноль
+        if (!this.scale) this.scale = 1;
+        this.fitted = true;
+        return this;
+    }
+
+    transformValue(value) {
+        this.assertFitted();
+        return (value - this.center) / this.scale;
+    }
+
+    transform(values) {
+        return values.map(v => this.transformValue(v));
+    }
+
+    inverseValue(value) {
+        this.assertFitted();
+        return value * this.scale + this.center;
+    }
+
+    inverse(values) {
+        return values.map(v => this.inverseValue(v));
+    }
+
+    assertFitted() {
+        if (!this.fitted) {
+            throw new Error('Normalization parameters not available');
+        }
+    }
+
+    toJSON() {
+        return { method: this.method, center: this.center, scale: this.scale };
+    }
+
+    static fromJSON(params) {
+        const scaler = new Scaler(params.method);
+        scaler.center = params.center;
+        scaler.scale = params.scale;
+        scaler.fitted = true;
+        return scaler;
+    }
+}
+
+export { Scaler, SCALER_METHODS };
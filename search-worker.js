@@ -0,0 +1,31 @@
+// search-worker.js (поиск гиперпараметров в фоне, чтобы страница не подвисала)
+// Модульный воркер: UMD-сборка TF.js регистрирует глобальный tf и здесь.
+import 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js';
+import { HyperparameterSearch } from './hyperparameter-search.js';
+import { serializeError } from './errors.js';
+
+let search = null;
+
+self.onmessage = async (event) => {
+    const { type, series, options } = event.data;
+
+    if (type === 'cancel') {
+        search?.cancel();
+        return;
+    }
+
+    if (type !== 'start') return;
+
+    try {
+        await tf.ready();
+        search = new HyperparameterSearch(series, options);
+        const results = await search.run({
+            onTrialEnd: (row, total) => self.postMessage({ type: 'trial', row, total })
+        });
+        self.postMessage({ type: 'done', results, backend: tf.getBackend() });
+    } catch (error) {
+        self.postMessage({ type: 'error', error: serializeError(error) });
+    } finally {
+        search = null;
+    }
+};
@@ -0,0 +1,30 @@
+// test/backtest.test.js (издержки стратегии и бенчмарка buy & hold)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from './helpers.js';
+import { StrategyBacktester } from '../backtest.js';
+
+const REALIZED = [0.01, -0.02, 0.015, 0.005];
+const samples = {
+    windows: REALIZED.map(() => [0.001, -0.001]),
+    targets: REALIZED.map(r => [r]),
+    dates: ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05']
+};
+
+test('buy & hold pays costs and slippage once, on entry', () => {
+    const backtester = new StrategyBacktester({ costBps: 5, slippageBps: 2 });
+    const { buyHold } = backtester.run(samples, REALIZED.map(() => [0.01]));
+    assertClose(buyHold.returns[0], REALIZED[0] - 0.0007);
+    buyHold.returns.slice(1).forEach((value, i) => assertClose(value, REALIZED[i + 1]));
+    assert.equal(buyHold.metrics.trades, 1);
+});
+
+test('strategy pays costs on every change of position', () => {
+    const backtester = new StrategyBacktester({ mode: 'longShort', costBps: 10, slippageBps: 0 });
+    // long, short, short, long: оборот 1, 2, 0, 2
+    const { strategy } = backtester.run(samples, [[0.01], [-0.01], [-0.01], [0.01]]);
+    assert.deepEqual(strategy.turnover, [1, 2, 0, 2]);
+    assertClose(strategy.returns[1], -REALIZED[1] - 0.002);
+    assertClose(strategy.returns[2], -REALIZED[2]);
+    assert.equal(strategy.metrics.trades, 3);
+});
@@ -0,0 +1,51 @@
+// test/csv-parser.test.js (диалекты CSV и отбраковка битых строк)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { CSVParser } from '../csv-parser.js';
+import { MALFORMED_CSV } from './fixtures.js';
+
+test('detects comma-separated ISO dates', () => {
+    const { rows, report } = new CSVParser().parse('Date,Open,Close,Volume\n2020-01-02,1,2,300\n2020-01-03,2,3,400\n');
+    assert.equal(report.delimiter, ',');
+    assert.equal(report.dateFormat, 'YYYY-MM-DD');
+    assert.equal(report.priceColumn, 'Close');
+    assert.deepEqual(rows[0], { date: '2020-01-02', price: 2, open: 1, close: 2, volume: 300 });
+});
+
+test('detects semicolons, DD.MM.YYYY dates and decimal commas', () => {
+    const { rows, report } = new CSVParser().parse('Date;S&P500\n02.01.2020;3257,85\n03.01.2020;3234,85\n');
+    assert.equal(report.delimiter, ';');
+    assert.equal(report.decimal, ',');
+    assert.equal(report.dateFormat, 'DD.MM.YYYY');
+    assert.deepEqual(rows.map(row => [row.date, row.price]), [['2020-01-02', 3257.85], ['2020-01-03', 3234.85]]);
+});
+
+test('reads dot thousands separators before a decimal comma', () => {
+    const { rows, report } = new CSVParser().parse('Date;Close\n2020-01-02;1.234,5\n2020-01-03;1.240,25\n');
+    assert.equal(report.decimal, ',');
+    assert.deepEqual(rows.map(row => row.price), [1234.5, 1240.25]);
+});
+
+test('does not merge a decimal comma into a dot-decimal number', () => {
+    const parser = new CSVParser();
+    assert.equal(parser.parseNumber('1,234.5', '.'), 1234.5);
+    assert.ok(Number.isNaN(parser.parseNumber('1.234,5', '.')));
+    assert.ok(Number.isNaN(parser.parseNumber('12,34.5', '.')));
+});
+
+test('skips malformed rows with a reason for each', () => {
+    const { rows, report } = new CSVParser().parse(MALFORMED_CSV);
+    assert.equal(rows.length, 8);
+    assert.equal(report.totalRows, 13);
+    assert.equal(report.validRows, 8);
+    assert.equal(report.duplicateDates, 1);
+    assert.deepEqual(report.skipped.map(row => row.reason).sort(),
+        ['Duplicate date', 'Invalid date', 'Invalid date', 'Invalid price', 'Invalid price']);
+    // Из дубликатов остаётся первая строка
+    assert.equal(rows.find(row => row.date === '2020-01-08').price, 105);
+});
+
+test('rejects files without data rows', () => {
+    assert.throws(() => new CSVParser().parse('Date,Close\n'), /less than 2 lines/);
+});
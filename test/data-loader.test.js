@@ -0,0 +1,155 @@
+// test/data-loader.test.js (сортировка, инсайты, SMA, подготовка выборок и денормализация)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture, assertClose } from './helpers.js';
+import { DataLoader } from '../data-loader.js';
+import { DataInsufficientError } from '../errors.js';
+import { flatSeries, trendSeries, drawdownSeries, shortSeries, seededSeries, MALFORMED_CSV } from './fixtures.js';
+
+test('parseCSV sorts rows by date', () => {
+    const loader = loadFixture(MALFORMED_CSV);
+    assert.deepEqual(loader.dateLabels, [
+        '2020-01-02', '2020-01-03', '2020-01-06', '2020-01-07', '2020-01-08', '2020-01-09', '2020-01-10', '2020-01-13'
+    ]);
+    assert.deepEqual(loader.data.map(d => d.price), [101, 102, 103, 104, 105, 106, 107, 108]);
+    assertClose(loader.returns[0], 1 / 101);
+});
+
+test('parseCSV keeps DD.MM.YYYY rows in calendar order', () => {
+    const loader = loadFixture('Date;Close\n03.02.2020;3\n01.02.2020;1\n02.01.2020;0.5\n02.02.2020;2\n');
+    assert.deepEqual(loader.dateLabels, ['2020-01-02', '2020-02-01', '2020-02-02', '2020-02-03']);
+});
+
+test('flat series has no return, volatility or drawdown', () => {
+    const insights = loadFixture(flatSeries().csv).getInsights();
+    assert.equal(insights.basic.totalReturn, '0.00%');
+    assert.equal(insights.basic.maxDrawdown, '0.00%');
+    assert.equal(insights.returns.annualizedVolatility, '0.00%');
+    assert.equal(insights.returns.sharpeRatio, '0.00');
+    assert.equal(insights.returns.positiveDays, '0.0%');
+    assert.equal(insights.volatility.currentRollingVol, '0.00%');
+});
+
+test('linear trend is bullish and never draws down', () => {
+    const { prices } = trendSeries();
+    const insights = loadFixture(trendSeries().csv).getInsights();
+    const total = (prices[prices.length - 1] - prices[0]) / prices[0];
+    assert.equal(insights.basic.totalReturn, `${(total * 100).toFixed(2)}%`);
+    assert.equal(insights.basic.maxDrawdown, '0.00%');
+    assert.equal(insights.returns.positiveDays, '100.0%');
+    assert.equal(insights.trends.currentTrend, 'Bullish');
+    assert.equal(insights.trends.aboveSMA200, 'Yes');
+});
+
+test('known drawdown is found with its dates and duration', () => {
+    const fixture = drawdownSeries();
+    const insights = loadFixture(fixture.csv).getInsights();
+    assert.equal(insights.basic.maxDrawdown, '40.00%');
+    assert.equal(insights.drawdowns.maxDrawdownPeak, fixture.dates[fixture.peak]);
+    assert.equal(insights.drawdowns.maxDrawdownTrough, fixture.dates[fixture.trough]);
+    assert.equal(insights.drawdowns.maxDrawdownRecovery, fixture.dates[fixture.recovery]);
+    assert.equal(insights.drawdowns.maxDrawdownDuration, fixture.recovery - fixture.peak);
+    assert.equal(insights.drawdowns.currentDrawdown, '0.00%');
+});
+
+test('calculateSMA averages trailing windows and is empty for short input', () => {
+    const loader = new DataLoader();
+    assert.deepEqual(loader.calculateSMA([1, 2, 3, 4, 5], 3), [2, 3, 4]);
+    assert.deepEqual(loader.calculateSMA([1, 2], 3), []);
+
+    const { prices } = trendSeries(250);
+    const sma200 = loadFixture(trendSeries(250).csv).getInsights().sma200;
+    assert.equal(sma200.length, 51);
+    assertClose(sma200[sma200.length - 1], prices.slice(-200).reduce((a, b) => a + b, 0) / 200);
+});
+
+test('series shorter than 65 days loads but cannot be prepared', () => {
+    const loader = loadFixture(shortSeries().csv);
+    assert.equal(loader.data.length, 40);
+    assert.equal(loader.getInsights().trends.sma200, 'N/A');
+    assert.throws(() => loader.prepareData(60, 5), error => {
+        assert.ok(error instanceof DataInsufficientError);
+        assert.match(error.message, /Not enough data/);
+        assert.equal(error.details.required, 65);
+        assert.equal(error.details.available, 39);
+        return true;
+    });
+});
+
+test('prepareData builds tensors with the expected shapes and a chronological split', () => {
+    const loader = loadFixture(seededSeries(200).csv);
+    const windowSize = 20;
+    const horizon = 3;
+    loader.prepareData(windowSize, horizon, 0.25);
+
+    const total = loader.returns.length - windowSize - horizon + 1;
+    const trainCount = Math.floor(total * 0.75);
+    assert.deepEqual(loader.X_train.shape, [trainCount, windowSize, 1]);
+    assert.deepEqual(loader.y_train.shape, [trainCount, horizon]);
+    assert.deepEqual(loader.X_test.shape, [total - trainCount, windowSize, 1]);
+    assert.deepEqual(loader.y_test.shape, [total - trainCount, horizon]);
+
+    // Тест идёт сразу после обучения, без пропусков и пересечений индексов
+    assert.equal(loader.trainIndices[loader.trainIndices.length - 1] + 1, loader.testIndices[0]);
+    assert.equal(loader.testIndices[loader.testIndices.length - 1], total - 1);
+
+    // Скейлер обучен только на доходностях, которые видели обучающие окна и цели
+    const [fitStart, fitEnd] = loader.trainRange;
+    assert.equal(fitStart, 0);
+    assert.equal(fitEnd, trainCount - 1 + windowSize + horizon);
+    const seen = loader.returns.slice(fitStart, fitEnd);
+    assertClose(loader.denormalize(0), Math.min(...seen), 1e-12);
+    assertClose(loader.denormalize(1), Math.max(...seen), 1e-12);
+
+    // Первая тестовая цель — доходности сразу после её окна
+    const sample = loader.getRawSamples();
+    const first = loader.testIndices[0];
+    assert.deepEqual(sample.targets[0], loader.returns.slice(first + windowSize, first + windowSize + horizon));
+    assert.equal(sample.dates[0], loader.dateLabels[first + windowSize + 1]);
+    loader.dispose();
+});
+
+test('denormalize inverts the target scaler', () => {
+    const loader = loadFixture(seededSeries(150).csv);
+    ['minmax', 'zscore', 'robust'].forEach(method => {
+        loader.dispose();
+        loader.prepareData(10, 2, 0.2, ['returns'], method);
+        const normalized = loader.y_train.arraySync().flat();
+        const raw = loader.getRawSamples(loader.trainIndices).targets.flat();
+        normalized.forEach((value, i) => assertClose(loader.denormalize(value), raw[i], 1e-6, method));
+    });
+    loader.dispose();
+    assert.throws(() => new DataLoader().denormalize(0), /Normalization parameters not available/);
+});
+
+test('beta against a loaded benchmark matches a known return ratio', () => {
+    const benchmark = seededSeries(120);
+    // Доходности актива ровно вдвое больше доходностей бенчмарка
+    let price = 50;
+    const leveraged = benchmark.prices.map((value, i) => {
+        if (i > 0) price *= 1 + 2 * (value / benchmark.prices[i - 1] - 1);
+        return price;
+    });
+    const csv = ['Date,Close', ...benchmark.dates.map((date, i) => `${date},${leveraged[i]}`)].join('\n') + '\n';
+
+    const loader = loadFixture(benchmark.csv, 'bench.csv');
+    assert.equal(loader.getInsights().riskAdjusted.beta, 'N/A');
+    assert.equal(loader.getInsights().riskAdjusted.benchmark, 'N/A');
+
+    loader.loadCSVFromText(csv, 'leveraged.csv', { append: true });
+    assert.equal(loader.getInsights().riskAdjusted.benchmark, 'bench');
+    assert.equal(loader.getInsights().riskAdjusted.beta, '2.00');
+
+    loader.selectAsset('bench');
+    assert.equal(loader.getInsights().riskAdjusted.benchmark, 'leveraged');
+    assert.equal(loader.getInsights().riskAdjusted.beta, '0.50');
+});
+
+test('training date range follows the selected period only when training is limited to it', () => {
+    const loader = loadFixture(MALFORMED_CSV);
+    loader.setDateRange('2020-01-04', '2020-01-09');
+    assert.deepEqual(loader.getTrainingDateRange(), { start: '2020-01-02', end: '2020-01-13' });
+
+    loader.limitTrainingToRange = true;
+    assert.deepEqual(loader.getTrainingDateRange(), { start: '2020-01-06', end: '2020-01-09' });
+});
@@ -0,0 +1,37 @@
+// test/experiment-tracker.test.js (хэш данных и фильтр журнала прогонов)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExperimentTracker, hashSeries, filterRuns } from '../experiment-tracker.js';
+import { trendSeries } from './fixtures.js';
+
+test('hashSeries is stable for the same series and changes with any price or date', () => {
+    const { dates, prices } = trendSeries(50);
+    const hash = hashSeries(dates, prices);
+    assert.match(hash, /^[0-9a-f]{8}$/);
+    assert.equal(hashSeries([...dates], [...prices]), hash);
+
+    const edited = [...prices];
+    edited[25] += 0.01;
+    assert.notEqual(hashSeries(dates, edited), hash);
+    assert.notEqual(hashSeries(dates.slice(1), prices.slice(1)), hash);
+});
+
+test('filterRuns combines asset, status, search and champion filters, newest first', () => {
+    const runs = [
+        { id: 'a', name: 'Run #1', asset: 'SPX', status: 'completed', architecture: 'GRU 1×16', features: ['returns'], createdAt: '2024-01-01T00:00:00Z' },
+        { id: 'b', name: 'Run #2', asset: 'SPX', status: 'failed', architecture: 'LSTM 2×32', features: ['returns', 'rsi14'], createdAt: '2024-01-02T00:00:00Z' },
+        { id: 'c', name: 'Run #3', asset: 'NDX', status: 'completed', architecture: 'GRU 1×16', features: ['returns'], createdAt: '2024-01-03T00:00:00Z', champion: true }
+    ];
+    assert.deepEqual(filterRuns(runs).map(run => run.id), ['c', 'b', 'a']);
+    assert.deepEqual(filterRuns(runs, { asset: 'SPX' }).map(run => run.id), ['b', 'a']);
+    assert.deepEqual(filterRuns(runs, { status: 'completed' }).map(run => run.id), ['c', 'a']);
+    assert.deepEqual(filterRuns(runs, { search: 'rsi' }).map(run => run.id), ['b']);
+    assert.deepEqual(filterRuns(runs, { search: ' gru ', asset: 'SPX' }).map(run => run.id), ['a']);
+    assert.deepEqual(filterRuns(runs, { championOnly: true }).map(run => run.id), ['c']);
+});
+
+test('tracker without IndexedDB rejects with a clear error', async () => {
+    const tracker = new ExperimentTracker(null);
+    await assert.rejects(tracker.list(), /IndexedDB is not available/);
+    assert.equal(tracker.db, null);
+});
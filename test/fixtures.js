@@ -0,0 +1,89 @@
+// test/fixtures.js (детерминированные синтетические ряды цен для тестов)
+import { createRandom } from '../intervals.js';
+
+// Рабочие дни (пн–пт) начиная с start, ISO-даты
+function businessDays(count, start = '2020-01-02') {
+    const dates = [];
+    const date = new Date(`${start}T00:00:00Z`);
+    while (dates.length < count) {
+        const day = date.getUTCDay();
+        if (day !== 0 && day !== 6) dates.push(date.toISOString().slice(0, 10));
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return dates;
+}
+
+function toCSV(dates, prices, header = 'Date,Close') {
+    return [header, ...dates.map((date, i) => `${date},${prices[i]}`)].join('\n') + '\n';
+}
+
+function flatSeries(days = 300, price = 100) {
+    const dates = businessDays(days);
+    const prices = dates.map(() => price);
+    return { dates, prices, csv: toCSV(dates, prices) };
+}
+
+// Цена растёт на step в день: доходности положительны и убывают
+function trendSeries(days = 300, start = 100, step = 0.5) {
+    const dates = businessDays(days);
+    const prices = dates.map((_, i) => start + step * i);
+    return { dates, prices, csv: toCSV(dates, prices) };
+}
+
+// 100 → 200 за 100 дней, падение до 120 (−40%) за 50 дней, затем рост до 220.
+// Пик — день 100, дно — день 150, восстановление — день 230, когда цена снова 200.
+function drawdownSeries() {
+    const prices = [];
+    for (let i = 0; i <= 100; i++) prices.push(100 + i);
+    for (let i = 1; i <= 50; i++) prices.push(200 - 1.6 * i);
+    for (let i = 1; i <= 100; i++) prices.push(120 + i);
+    const dates = businessDays(prices.length);
+    return {
+        dates,
+        prices,
+        csv: toCSV(dates, prices),
+        peak: 100,
+        trough: 150,
+        recovery: 230,
+        depth: 0.4
+    };
+}
+
+// Меньше 65 дней — не хватает на окно 60 + горизонт 5
+function shortSeries(days = 40) {
+    const dates = businessDays(days);
+    const prices = dates.map((_, i) => 100 + Math.sin(i / 3));
+    return { dates, prices, csv: toCSV(dates, prices) };
+}
+
+// Случайное блуждание с синусоидой в доходностях: есть что выучить, но ряд воспроизводим
+function seededSeries(days = 260, seed = 7) {
+    const random = createRandom(seed);
+    const dates = businessDays(days);
+    let price = 100;
+    const prices = dates.map((_, i) => {
+        if (i > 0) price *= 1 + 0.01 * Math.sin(i / 4) + 0.002 * (random() - 0.5);
+        return price;
+    });
+    return { dates, prices, csv: toCSV(dates, prices) };
+}
+
+// Восемь корректных строк в обратном порядке, между ними — битые
+const MALFORMED_CSV = [
+    'Date,Close',
+    '2020-01-13,108',
+    '2020-01-10,107',
+    'not-a-date,106',
+    '2020-01-09,abc',
+    '2020-01-09,106',
+    '2020-01-08,-5',
+    '2020-01-08,105',
+    '2020-01-08,105.5',
+    ',',
+    '2020-01-07,104',
+    '2020-01-06,103',
+    '2020-01-03,102',
+    '2020-01-02,101'
+].join('\n');
+
+export { businessDays, toCSV, flatSeries, trendSeries, drawdownSeries, shortSeries, seededSeries, MALFORMED_CSV };
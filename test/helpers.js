@@ -0,0 +1,23 @@
+// test/helpers.js (общая подготовка тестов: tf в globalThis, тихий журнал, загрузка фикстур)
+import '../tf-node.js';
+import { DataLoader } from '../data-loader.js';
+import { setLogger, silentLogger } from '../logger.js';
+
+// Журнал модулей нужен только при отладке (DEBUG=1); console самих тестов не трогаем
+if (!process.env.DEBUG) {
+    setLogger(silentLogger);
+}
+
+function loadFixture(csv, sourceName = 'fixture.csv') {
+    const loader = new DataLoader();
+    loader.loadCSVFromText(csv, sourceName);
+    return loader;
+}
+
+function assertClose(actual, expected, tolerance = 1e-9, message = '') {
+    if (!(Math.abs(actual - expected) <= tolerance)) {
+        throw new Error(`${message ? `${message}: ` : ''}expected ${expected} ± ${tolerance}, got ${actual}`);
+    }
+}
+
+export { loadFixture, assertClose };
@@ -0,0 +1,210 @@
+// test/model.test.js (маленькие модели на воспроизводимых рядах: обучение, оценка, прогноз, сохранение)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { loadFixture, assertClose } from './helpers.js';
+import { SequenceForecaster } from '../gru.js';
+import { StockPipeline } from '../pipeline.js';
+import { horizonMetrics } from '../metrics.js';
+import { isTradingDay } from '../trading-calendar.js';
+import { NotTrainedError, ShapeMismatchError, serializeError, deserializeError } from '../errors.js';
+import { seededSeries } from './fixtures.js';
+
+const WINDOW = 10;
+const HORIZON = 2;
+const TINY_MODEL = { type: 'gru', units: 4, optimizer: 'adam', learningRate: 0.01 };
+
+async function trainTiny(epochs = 8) {
+    const loader = loadFixture(seededSeries().csv);
+    loader.prepareData(WINDOW, HORIZON, 0.2);
+    const model = new SequenceForecaster(WINDOW, HORIZON, loader.featureCount, TINY_MODEL);
+    const losses = [];
+    await model.train(loader.X_train, loader.y_train, epochs, {
+        onEpochEnd: (epoch, logs) => losses.push(logs.loss)
+    });
+    return { loader, model, losses };
+}
+
+test('tiny model trains, lowers its loss and predicts the full horizon', async () => {
+    const { loader, model, losses } = await trainTiny();
+    try {
+        assert.equal(model.isTrained, true);
+        assert.equal(losses.length, 8);
+        assert.ok(losses[losses.length - 1] < losses[0], `loss did not fall: ${losses.join(', ')}`);
+
+        const predicted = await model.predict(loader.X_test);
+        assert.equal(predicted.length, loader.X_test.shape[0]);
+        predicted.forEach(row => {
+            assert.equal(row.length, HORIZON);
+            row.forEach(value => assert.ok(Number.isFinite(value)));
+        });
+    } finally {
+        model.dispose();
+        loader.dispose();
+    }
+});
+
+test('evaluate reports metrics of the actual test predictions in return units', async () => {
+    const { loader, model } = await trainTiny(3);
+    try {
+        const metrics = model.evaluate(loader.X_test, loader.y_test, value => loader.denormalize(value));
+        const predicted = (await model.predict(loader.X_test)).map(row => row.map(v => loader.denormalize(v)));
+        const actual = loader.getRawSamples().targets;
+        const { overall } = horizonMetrics(actual, predicted);
+
+        assertClose(metrics.rmse, overall.rmse, 1e-6, 'rmse');
+        assertClose(metrics.mae, overall.mae, 1e-6, 'mae');
+        assert.equal(metrics.horizon.length, HORIZON);
+        assert.equal(metrics.residuals.length, actual.length);
+        assertClose(metrics.residuals[0][0], actual[0][0] - predicted[0][0], 1e-6, 'residual');
+    } finally {
+        model.dispose();
+        loader.dispose();
+    }
+});
+
+test('training and disposing a model does not leak tensors', async () => {
+    const before = tf.memory().numTensors;
+    const { loader, model } = await trainTiny(2);
+    model.evaluate(loader.X_test, loader.y_test);
+    await model.predict(loader.X_test);
+    model.dispose();
+    loader.dispose();
+    assert.equal(tf.memory().numTensors, before);
+});
+
+// Тот же путь, что у воркера: обучение со снимком лучших весов, оценка, выгрузка артефактов, отмена
+test('worker-style training, export and cancellation do not leak tensors', async () => {
+    const loader = loadFixture(seededSeries().csv);
+    loader.prepareData(WINDOW, HORIZON, 0.2);
+    const before = tf.memory().numTensors;
+
+    const model = new SequenceForecaster(WINDOW, HORIZON, loader.featureCount, TINY_MODEL);
+    await model.train(loader.X_train, loader.y_train, 3, {}, { restoreBest: true, earlyStopping: true, patience: 1 });
+    model.setEvaluation(model.evaluate(loader.X_test, loader.y_test));
+    await model.save(tf.io.withSaveHandler(async () => ({ modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } })));
+    model.dispose();
+
+    const cancelled = new SequenceForecaster(WINDOW, HORIZON, loader.featureCount, TINY_MODEL);
+    await cancelled.train(loader.X_train, loader.y_train, 3, { onBatchEnd: () => cancelled.stop() }, { restoreBest: true });
+    assert.equal(cancelled.isTrained, false);
+    cancelled.dispose();
+
+    assert.equal(tf.memory().numTensors, before);
+    loader.dispose();
+});
+
+test('pipeline saves a model to disk and reloads it with identical forecasts', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'stock-predictor-'));
+    const csvPath = path.join(dir, 'prices.csv');
+    const modelDir = path.join(dir, 'model');
+    await writeFile(csvPath, seededSeries().csv);
+
+    const trained = new StockPipeline({ windowSize: WINDOW, predictionHorizon: HORIZON });
+    const restored = new StockPipeline();
+    try {
+        await trained.load(csvPath);
+        await trained.train(2, TINY_MODEL);
+        await trained.saveModel(modelDir);
+        const expected = await trained.predict(5);
+
+        await restored.load(csvPath);
+        const info = await restored.loadModel(modelDir);
+        assert.equal(info.windowSize, WINDOW);
+        assert.equal(info.predictionHorizon, HORIZON);
+
+        const actual = await restored.predict(5);
+        assert.equal(actual.method, 'recursive');
+        assert.deepEqual(actual.forecast.map(row => row.date), expected.forecast.map(row => row.date));
+        actual.forecast.forEach((row, i) => {
+            assert.ok(isTradingDay(row.date), `${row.date} is not a trading day`);
+            assertClose(row.return, expected.forecast[i].return, 1e-9, `day ${i + 1}`);
+        });
+
+        const { leaderboard } = await restored.evaluate();
+        assert.equal(leaderboard.filter(row => row.isModel).length, 1);
+        const backtest = await restored.backtest({ mode: 'longFlat' });
+        assert.equal(backtest.dates.length, restored.dataLoader.testIndices.length);
+    } finally {
+        trained.dispose();
+        restored.dispose();
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('pipeline rejects unknown feature keys and lists the valid ones', () => {
+    assert.throws(() => new StockPipeline({ features: ['returns', 'rsi14'] }),
+        /Unknown feature: rsi14\. Valid features: .*\brsi\b/);
+});
+
+test('predict without input is rejected instead of returning a placeholder', async () => {
+    const model = new SequenceForecaster(WINDOW, HORIZON, 1, TINY_MODEL);
+    try {
+        await assert.rejects(model.predict(), /Input data not provided/);
+    } finally {
+        model.dispose();
+    }
+});
+
+test('an untrained model refuses to predict or evaluate instead of inventing numbers', async () => {
+    const loader = loadFixture(seededSeries().csv);
+    loader.prepareData(WINDOW, HORIZON, 0.2);
+    const model = new SequenceForecaster(WINDOW, HORIZON, loader.featureCount, TINY_MODEL);
+    try {
+        await assert.rejects(model.predict(loader.X_test), NotTrainedError);
+        assert.throws(() => model.evaluate(loader.X_test, loader.y_test), NotTrainedError);
+        model.buildModel();
+        await assert.rejects(model.predict(loader.X_test), NotTrainedError);
+    } finally {
+        model.dispose();
+        loader.dispose();
+    }
+});
+
+test('inputs with the wrong window or feature count raise ShapeMismatchError', async () => {
+    const { loader, model } = await trainTiny(1);
+    const wrongWindow = tf.zeros([3, WINDOW + 1, 1]);
+    const wrongTargets = tf.zeros([loader.X_test.shape[0], HORIZON + 1]);
+    try {
+        await assert.rejects(model.predict(wrongWindow), error => {
+            assert.ok(error instanceof ShapeMismatchError);
+            assert.deepEqual(error.details.expected, [null, WINDOW, 1]);
+            assert.deepEqual(error.details.actual, [3, WINDOW + 1, 1]);
+            return true;
+        });
+        assert.throws(() => model.evaluate(loader.X_test, wrongTargets), ShapeMismatchError);
+    } finally {
+        wrongWindow.dispose();
+        wrongTargets.dispose();
+        model.dispose();
+        loader.dispose();
+    }
+});
+
+test('a failed training run leaves the model untrained', async () => {
+    const { loader, model } = await trainTiny(1);
+    const original = model.model.fit.bind(model.model);
+    model.model.fit = async () => { throw new Error('fit failed'); };
+    try {
+        await assert.rejects(model.train(loader.X_train, loader.y_train, 1), /fit failed/);
+        assert.equal(model.isTrained, false);
+        await assert.rejects(model.predict(loader.X_test), NotTrainedError);
+    } finally {
+        model.model.fit = original;
+        model.dispose();
+        loader.dispose();
+    }
+});
+
+test('typed errors survive the worker message boundary', () => {
+    const restored = deserializeError(serializeError(new ShapeMismatchError('bad', { expected: [1], actual: [2] })));
+    assert.ok(restored instanceof ShapeMismatchError);
+    assert.equal(restored.message, 'bad');
+    assert.deepEqual(restored.details, { expected: [1], actual: [2] });
+
+    const plain = deserializeError(serializeError(new TypeError('oops')));
+    assert.equal(plain.name, 'TypeError');
+    assert.equal(plain.message, 'oops');
+});
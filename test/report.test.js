@@ -0,0 +1,41 @@
+// test/report.test.js (выгрузка прогноза в CSV и сборка HTML-отчёта)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCSV, forecastRows, buildReportHTML } from '../report.js';
+import { assertClose } from './helpers.js';
+
+test('forecastRows chains predicted returns into implied prices', () => {
+    const rows = forecastRows([0.1, -0.5], ['2024-01-02', '2024-01-03'], 100);
+    assert.deepEqual(rows.map(row => row.date), ['2024-01-02', '2024-01-03']);
+    assertClose(rows[0].impliedPrice, 110);
+    assertClose(rows[1].impliedPrice, 55);
+    assert.equal(rows[0].priceP5, undefined);
+
+    const intervals = { prices: [{ p5: 90, p25: 100, p75: 120, p95: 130 }] };
+    const [withRange] = forecastRows([0.1], ['2024-01-02'], 100, intervals);
+    assert.equal(withRange.priceP5, 90);
+    assert.equal(withRange.priceP95, 130);
+});
+
+test('toCSV quotes separators and leaves missing values empty', () => {
+    const csv = toCSV([{ name: 'a,b', value: 1 }, { name: 'say "hi"', value: null }]);
+    assert.equal(csv, 'name,value\n"a,b",1\n"say ""hi""",\n');
+    assert.equal(toCSV([]), '');
+});
+
+test('report includes only the sections it has data for and escapes text', () => {
+    const html = buildReportHTML({
+        title: 'S&P <500>',
+        data: { asset: 'S&P 500', source: 'my_data.csv', rows: 3, firstDate: '2024-01-02', lastDate: '2024-01-04', range: null },
+        insights: { basic: { totalReturn: '1.00%' }, volatilitySeries: { dates: [], values: [] } },
+        forecast: forecastRows([0.01], ['2024-01-05'], 100),
+        charts: [{ title: 'Price', image: 'data:image/png;base64,AAAA' }]
+    });
+    assert.match(html, /<title>S&amp;P &lt;500&gt;<\/title>/);
+    assert.match(html, /Full history/);
+    assert.match(html, /<h2>Forecast<\/h2>/);
+    assert.match(html, /src="data:image\/png;base64,AAAA"/);
+    assert.match(html, /totalReturn/);
+    assert.doesNotMatch(html, /volatilitySeries/);
+    assert.doesNotMatch(html, /Model configuration|Test-split metrics|Strategy backtest/);
+});
@@ -0,0 +1,15 @@
+// tf-node.js (TensorFlow.js для Node: нативный @tensorflow/tfjs-node, без него — чистый JS-бэкенд)
+// Модули проекта берут tf из глобальной области, как в браузере после CDN-скрипта,
+// поэтому этот модуль импортируется первым во всех точках входа Node.
+let tfModule;
+try {
+    tfModule = await import('@tensorflow/tfjs-node');
+} catch (error) {
+    console.warn(`@tensorflow/tfjs-node is not available (${error.message.split('\n')[0]}), falling back to @tensorflow/tfjs`);
+    tfModule = await import('@tensorflow/tfjs');
+}
+
+const tf = tfModule.default ?? tfModule;
+globalThis.tf = tf;
+
+export default tf;
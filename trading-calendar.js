@@ -0,0 +1,93 @@
+// trading-calendar.js (торговые дни NYSE: выходные и праздники США)
+// Даты — строки YYYY-MM-DD, вся арифметика в UTC, чтобы не зависеть от часового пояса браузера.
+
+const toISO = date => date.toISOString().slice(0, 10);
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+
+// n-й день недели месяца (n = -1 — последний)
+function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+        const first = utcDate(year, month, 1);
+        const offset = (weekday - first.getUTCDay() + 7) % 7;
+        return utcDate(year, month, 1 + offset + (n - 1) * 7);
+    }
+    const last = utcDate(year, month + 1, 0);
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return utcDate(year, month, last.getUTCDate() - offset);
+}
+
+// Пасха по григорианскому календарю (алгоритм Мееуса/Джонса/Бутчера)
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return utcDate(year, month - 1, day);
+}
+
+// Праздник в субботу переносится на пятницу, в воскресенье — на понедельник
+function observed(date) {
+    const day = date.getUTCDay();
+    if (day === 6) return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - 1);
+    if (day === 0) return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    return date;
+}
+
+const holidayCache = new Map();
+
+function usMarketHolidays(year) {
+    if (holidayCache.has(year)) return holidayCache.get(year);
+
+    const goodFriday = easterSunday(year);
+    goodFriday.setUTCDate(goodFriday.getUTCDate() - 2);
+
+    const holidays = [
+        observed(utcDate(year, 0, 1)),      // New Year's Day
+        nthWeekday(year, 0, 1, 3),          // Martin Luther King Jr. Day
+        nthWeekday(year, 1, 1, 3),          // Washington's Birthday
+        goodFriday,
+        nthWeekday(year, 4, 1, -1),         // Memorial Day
+        observed(utcDate(year, 6, 4)),      // Independence Day
+        nthWeekday(year, 8, 1, 1),          // Labor Day
+        nthWeekday(year, 10, 4, 4),         // Thanksgiving
+        observed(utcDate(year, 11, 25))     // Christmas
+    ];
+    if (year >= 2022) {
+        holidays.push(observed(utcDate(year, 5, 19)));  // Juneteenth
+    }
+
+    // Новый год в субботу биржа не переносит на 31 декабря — такой день остаётся в прошлом году
+    const result = new Set(holidays.filter(date => date.getUTCFullYear() === year).map(toISO));
+    holidayCache.set(year, result);
+    return result;
+}
+
+function isTradingDay(isoDate) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    const day = date.getUTCDay();
+    return day !== 0 && day !== 6 && !usMarketHolidays(date.getUTCFullYear()).has(isoDate);
+}
+
+// count торговых дней строго после lastDate
+function nextTradingDays(lastDate, count) {
+    const result = [];
+    const cursor = new Date(`${lastDate}T00:00:00Z`);
+    while (result.length < count) {
+        cursor.setUTCDate(cursor.getUTCDate() + 1);
+        const iso = toISO(cursor);
+        if (isTradingDay(iso)) result.push(iso);
+    }
+    return result;
+}
+
+export { usMarketHolidays, isTradingDay, nextTradingDays, easterSunday };
@@ -0,0 +1,176 @@
+// training-client.js (обёртка главного потока над training-worker.js)
+// Тензоры уходят в воркер копиями буферов, сама модель живёт в воркере.
+import { NotTrainedError, deserializeError } from './errors.js';
+
+class TrainingClient {
+    constructor() {
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map();   // id запроса прогноза → { resolve, reject }
+        this.run = null;            // текущее обучение: { resolve, reject, handlers }
+        this.hasModel = false;
+    }
+
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./training-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.fail(new Error(event.message || 'Training worker failed'));
+        }
+        return this.worker;
+    }
+
+    // Копия буфера: передача оригинала отсоединила бы данные тензора в главном потоке
+    static serialize(tensor) {
+        return { values: tensor.dataSync().slice(), shape: tensor.shape };
+    }
+
+    // handlers: { onEpochEnd(epoch, epochs, logs), onPause(), onResume() }
+    // Результат: { status: 'done', metrics, trainingSummary, artifacts } или { status: 'cancelled' }
+    train({ model, epochs, trainingOptions, normalization, data }, handlers = {}) {
+        if (this.run) {
+            return Promise.reject(new Error('Training is already running'));
+        }
+
+        const payload = {};
+        const transfer = [];
+        Object.entries(data).forEach(([key, tensor]) => {
+            payload[key] = TrainingClient.serialize(tensor);
+            transfer.push(payload[key].values.buffer);
+        });
+
+        this.hasModel = false;
+        return new Promise((resolve, reject) => {
+            this.run = { resolve, reject, handlers };
+            this.getWorker().postMessage({
+                type: 'train',
+                windowSize: model.windowSize,
+                predictionHorizon: model.predictionHorizon,
+                numFeatures: model.numFeatures,
+                config: model.config,
+                epochs,
+                trainingOptions,
+                normalization,
+                data: payload
+            }, transfer);
+        });
+    }
+
+    pause() {
+        if (this.run) this.worker.postMessage({ type: 'pause' });
+    }
+
+    resume() {
+        if (this.run) this.worker.postMessage({ type: 'resume' });
+    }
+
+    cancel() {
+        if (this.run) this.worker.postMessage({ type: 'cancel' });
+    }
+
+    // Тот же контракт, что у SequenceForecaster.predict: тензор на входе, массив строк на выходе
+    predict(X) {
+        if (!this.hasModel) {
+            return Promise.reject(new NotTrainedError('No trained model yet: train one or load a saved model'));
+        }
+        const id = this.nextId++;
+        const input = TrainingClient.serialize(X);
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'predict', id, input }, [input.values.buffer]);
+        });
+    }
+
+    // Передаёт в воркер уже обученную модель (например, из реестра)
+    async loadModel(model) {
+        let artifacts = null;
+        await model.save(tf.io.withSaveHandler(async result => {
+            artifacts = result;
+            return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+        }));
+
+        this.hasModel = false;
+        return new Promise((resolve, reject) => {
+            this.run = { resolve, reject, handlers: {} };
+            this.getWorker().postMessage({ type: 'load', artifacts });
+        });
+    }
+
+    reset() {
+        this.hasModel = false;
+        if (this.worker) this.worker.postMessage({ type: 'reset' });
+    }
+
+    handleMessage(message) {
+        const handlers = this.run?.handlers || {};
+
+        switch (message.type) {
+        case 'progress':
+            if (handlers.onEpochEnd) handlers.onEpochEnd(message.epoch, message.epochs, message.logs);
+            break;
+        case 'paused':
+            if (handlers.onPause) handlers.onPause();
+            break;
+        case 'resumed':
+            if (handlers.onResume) handlers.onResume();
+            break;
+        case 'done':
+            this.hasModel = true;
+            this.finish({
+                status: 'done',
+                metrics: message.metrics,
+                trainingSummary: message.trainingSummary,
+                artifacts: message.artifacts
+            });
+            break;
+        case 'loaded':
+            this.hasModel = true;
+            this.finish({ status: 'loaded' });
+            break;
+        case 'cancelled':
+            this.finish({ status: 'cancelled' });
+            break;
+        case 'prediction':
+            this.settle(message.id, request => request.resolve(message.values));
+            break;
+        case 'error':
+            if (message.id) {
+                this.settle(message.id, request => request.reject(deserializeError(message.error)));
+            } else {
+                this.fail(deserializeError(message.error));
+            }
+            break;
+        }
+    }
+
+    finish(result) {
+        const run = this.run;
+        this.run = null;
+        if (run) run.resolve(result);
+    }
+
+    settle(id, callback) {
+        const request = this.pending.get(id);
+        this.pending.delete(id);
+        if (request) callback(request);
+    }
+
+    fail(error) {
+        const run = this.run;
+        this.run = null;
+        if (run) run.reject(error);
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.fail(new Error('Training worker terminated'));
+        this.hasModel = false;
+    }
+}
+
+export { TrainingClient };
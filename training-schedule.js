@@ -0,0 +1,143 @@
+// training-schedule.js (ранняя остановка, расписание learning rate и лучший чекпоинт)
+
+const LR_SCHEDULES = {
+    constant: 'Constant',
+    plateau: 'Reduce on plateau',
+    cosine: 'Cosine decay'
+};
+
+const DEFAULT_TRAINING_OPTIONS = {
+    earlyStopping: false,
+    patience: 5,            // эпох без улучшения val_loss до остановки
+    minDelta: 0,            // минимальное снижение val_loss, которое считается улучшением
+    schedule: 'constant',   // ключ LR_SCHEDULES
+    plateauPatience: 2,     // эпох без улучшения до снижения LR
+    plateauFactor: 0.5,
+    minLearningRate: 1e-5,
+    restoreBest: false
+};
+
+// Следит за val_loss по эпохам. Хранит копию весов лучшей эпохи — её нужно освободить через finish().
+class TrainingMonitor {
+    constructor(options = {}, epochs, learningRate) {
+        this.options = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+        if (!LR_SCHEDULES[this.options.schedule]) {
+            throw new Error(`Unknown learning rate schedule: ${this.options.schedule}`);
+        }
+        this.epochs = epochs;
+        this.initialLearningRate = learningRate;
+        this.learningRate = learningRate;
+        this.bestLoss = Infinity;
+        this.bestEpoch = -1;
+        this.bestWeights = null;
+        this.wait = 0;
+        this.plateauWait = 0;
+        this.lastEpoch = -1;
+        this.stopReason = 'completed';
+        this.monitor = 'val_loss';
+    }
+
+    // Косинусное расписание задаётся до начала эпохи: от исходного LR до минимального
+    onEpochBegin(epoch, optimizer) {
+        if (this.options.schedule !== 'cosine') return;
+        const { minLearningRate } = this.options;
+        const progress = this.epochs > 1 ? epoch / (this.epochs - 1) : 0;
+        this.setLearningRate(optimizer,
+            minLearningRate + 0.5 * (this.initialLearningRate - minLearningRate) * (1 + Math.cos(Math.PI * progress))
+        );
+    }
+
+    // Возвращает true, если обучение пора остановить
+    onEpochEnd(epoch, logs, model) {
+        this.lastEpoch = epoch;
+        // Без валидационной части (слишком мало выборок) ориентируемся на loss обучения
+        if (logs.val_loss === undefined) this.monitor = 'loss';
+        const value = logs[this.monitor];
+
+        if (value < this.bestLoss - this.options.minDelta) {
+            this.bestLoss = value;
+            this.bestEpoch = epoch;
+            this.wait = 0;
+            this.plateauWait = 0;
+            if (this.options.restoreBest) this.snapshot(model);
+        } else {
+            this.wait++;
+            this.plateauWait++;
+        }
+
+        if (this.options.schedule === 'plateau' && this.plateauWait >= this.options.plateauPatience) {
+            this.plateauWait = 0;
+            this.setLearningRate(model.optimizer,
+                Math.max(this.learningRate * this.options.plateauFactor, this.options.minLearningRate)
+            );
+        }
+
+        if (this.options.earlyStopping && this.wait >= this.options.patience) {
+            this.stopReason = 'early-stopping';
+            return true;
+        }
+        return false;
+    }
+
+    snapshot(model) {
+        this.disposeSnapshot();
+        this.bestWeights = model.getWeights().map(weight => weight.clone());
+    }
+
+    // SGD кэширует LR в тензоре и меняется через setLearningRate, Adam/RMSProp читают поле
+    setLearningRate(optimizer, learningRate) {
+        this.learningRate = learningRate;
+        if (typeof optimizer.setLearningRate === 'function') {
+            optimizer.setLearningRate(learningRate);
+        } else {
+            optimizer.learningRate = learningRate;
+        }
+    }
+
+    // Восстанавливает веса лучшей эпохи и возвращает сводку для статуса и метаданных
+    finish(model, cancelled = false) {
+        if (cancelled) this.stopReason = 'cancelled';
+
+        const restored = !cancelled && this.options.restoreBest && this.bestWeights !== null &&
+            this.bestEpoch !== this.lastEpoch;
+        if (restored) {
+            model.setWeights(this.bestWeights);
+        }
+        this.disposeSnapshot();
+
+        return {
+            stopReason: this.stopReason,
+            epochsRun: this.lastEpoch + 1,
+            bestEpoch: this.bestEpoch + 1,
+            bestLoss: this.bestLoss,
+            monitor: this.monitor,
+            weightsEpoch: restored ? this.bestEpoch + 1 : this.lastEpoch + 1,
+            restored,
+            finalLearningRate: this.learningRate,
+            options: { ...this.options }
+        };
+    }
+
+    disposeSnapshot() {
+        if (this.bestWeights) {
+            this.bestWeights.forEach(weight => weight.dispose());
+            this.bestWeights = null;
+        }
+    }
+}
+
+// Человекочитаемое объяснение для строки статуса
+function describeTrainingSummary(summary) {
+    if (!summary) return '';
+    const reasons = {
+        completed: `ran all ${summary.epochsRun} epochs`,
+        'early-stopping': `stopped early at epoch ${summary.epochsRun} (no ${summary.monitor} improvement for ${summary.options.patience} epoch${summary.options.patience === 1 ? '' : 's'})`,
+        cancelled: `cancelled at epoch ${summary.epochsRun}`
+    };
+    const weights = summary.restored
+        ? `restored best weights from epoch ${summary.weightsEpoch} (${summary.monitor} ${summary.bestLoss.toFixed(6)})`
+        : `using weights from epoch ${summary.weightsEpoch}`;
+    return `${reasons[summary.stopReason]}; ${weights}`;
+}
+
+export { TrainingMonitor, LR_SCHEDULES, DEFAULT_TRAINING_OPTIONS, describeTrainingSummary };
@@ -0,0 +1,145 @@
+// training-worker.js (обучение и прогноз в отдельном потоке)
+// Протокол: train / pause / resume / cancel / predict / load / reset → progress, paused, resumed,
+// done, cancelled, prediction, loaded, error. Тензоры передаются плоскими Float32Array + shape,
+// ошибки — через serializeError, чтобы главный поток получил тот же тип.
+import 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js';
+import { SequenceForecaster } from './gru.js';
+import { Scaler } from './scaler.js';
+import { NotTrainedError, serializeError } from './errors.js';
+
+let model = null;
+let paused = false;
+let resumeTraining = null;
+
+const toTensor = ({ values, shape }) => tf.tensor(values, shape);
+
+// Вызывается после каждого батча: отдаём управление циклу событий, чтобы дошли
+// сообщения pause/cancel, и ждём resume, если обучение на паузе.
+async function checkpoint() {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (paused) {
+        self.postMessage({ type: 'paused' });
+        await new Promise(resolve => { resumeTraining = resolve; });
+        self.postMessage({ type: 'resumed' });
+    }
+}
+
+function disposeModel() {
+    if (model) {
+        model.dispose();
+        model = null;
+    }
+}
+
+async function exportArtifacts() {
+    let artifacts = null;
+    await model.save(tf.io.withSaveHandler(async result => {
+        artifacts = result;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return artifacts;
+}
+
+async function train(message) {
+    const { windowSize, predictionHorizon, numFeatures, config, epochs, trainingOptions, normalization, data } = message;
+    const tensors = {};
+
+    try {
+        disposeModel();
+        paused = false;
+        model = new SequenceForecaster(windowSize, predictionHorizon, numFeatures, config);
+        model.buildModel();
+        model.setNormalization(normalization);
+
+        Object.entries(data).forEach(([key, value]) => {
+            tensors[key] = toTensor(value);
+        });
+
+        await model.train(tensors.X_train, tensors.y_train, epochs, {
+            onBatchEnd: checkpoint,
+            onEpochEnd: (epoch, logs) => self.postMessage({ type: 'progress', epoch, epochs, logs })
+        }, trainingOptions);
+
+        if (model.cancelled) {
+            disposeModel();
+            self.postMessage({ type: 'cancelled' });
+            return;
+        }
+
+        const targetScaler = Scaler.fromJSON(normalization.target);
+        const metrics = model.evaluate(tensors.X_test, tensors.y_test, value => targetScaler.inverseValue(value));
+        model.setEvaluation(metrics);
+
+        self.postMessage({
+            type: 'done',
+            metrics,
+            trainingSummary: model.trainingSummary,
+            artifacts: await exportArtifacts()
+        });
+    } catch (error) {
+        disposeModel();
+        self.postMessage({ type: 'error', error: serializeError(error) });
+    } finally {
+        Object.values(tensors).forEach(tensor => tensor.dispose());
+        paused = false;
+        resumeTraining = null;
+    }
+}
+
+async function predict({ id, input }) {
+    const X = toTensor(input);
+    try {
+        if (!model) {
+            throw new NotTrainedError('No trained model in the training worker');
+        }
+        self.postMessage({ type: 'prediction', id, values: await model.predict(X) });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, error: serializeError(error) });
+    } finally {
+        X.dispose();
+    }
+}
+
+// Модель из реестра: веса приходят артефактами tf.io
+async function load({ artifacts }) {
+    try {
+        disposeModel();
+        ({ model } = await SequenceForecaster.load(tf.io.fromMemory(artifacts)));
+        self.postMessage({ type: 'loaded' });
+    } catch (error) {
+        self.postMessage({ type: 'error', error: serializeError(error) });
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    switch (message.type) {
+    case 'train':
+        await tf.ready();
+        await train(message);
+        break;
+    case 'pause':
+        paused = true;
+        break;
+    case 'resume':
+        paused = false;
+        if (resumeTraining) resumeTraining();
+        break;
+    case 'cancel':
+        if (model) model.stop();
+        // Отменённое на паузе обучение нужно сначала «отпустить»
+        paused = false;
+        if (resumeTraining) resumeTraining();
+        break;
+    case 'predict':
+        await predict(message);
+        break;
+    case 'load':
+        await tf.ready();
+        await load(message);
+        break;
+    case 'reset':
+        disposeModel();
+        break;
+    }
+};
@@ -0,0 +1,94 @@
+// volatility.js (условная волатильность: EWMA, GARCH(1,1) и режимы высокой волатильности)
+// Ряды выровнены по доходностям, как rollingVolatility: значение t — оценка на закрытие дня доходности t
+// (она же прогноз на следующий день). Все значения — годовые доли.
+import { mean, quantile } from './metrics.js';
+
+const DEFAULT_EWMA_LAMBDA = 0.94;   // RiskMetrics для дневных данных
+
+function ewmaVolatility(returns, lambda = DEFAULT_EWMA_LAMBDA, periodsPerYear = 252) {
+    if (returns.length === 0) return [];
+    let variance = mean(returns.slice(0, 20).map(r => r * r));
+    return returns.map(r => {
+        variance = lambda * variance + (1 - lambda) * r * r;
+        return Math.sqrt(variance * periodsPerYear);
+    });
+}
+
+// Условные дисперсии GARCH(1,1) и отрицательное лог-правдоподобие (без константы)
+function garchVariances(residuals, { omega, alpha, beta }, initialVariance) {
+    const variances = new Array(residuals.length + 1);
+    variances[0] = initialVariance;
+    let nll = 0;
+    for (let t = 0; t < residuals.length; t++) {
+        nll += 0.5 * (Math.log(variances[t]) + residuals[t] ** 2 / variances[t]);
+        variances[t + 1] = omega + alpha * residuals[t] ** 2 + beta * variances[t];
+    }
+    return { variances, nll };
+}
+
+// Оценка максимального правдоподобия с таргетированием дисперсии: ω = σ²(1 − α − β).
+// Сетка по (α, β), затем локальный поиск с уменьшающимся шагом.
+function fitGarch(returns) {
+    if (returns.length < 50) {
+        throw new Error(`GARCH(1,1) needs at least 50 returns, got ${returns.length}`);
+    }
+    const mu = mean(returns);
+    const residuals = returns.map(r => r - mu);
+    const variance = mean(residuals.map(e => e * e));
+    const evaluate = (alpha, beta) => {
+        if (alpha < 0 || beta < 0 || alpha + beta >= 0.999) return Infinity;
+        return garchVariances(residuals, { omega: variance * (1 - alpha - beta), alpha, beta }, variance).nll;
+    };
+
+    let best = { alpha: 0.05, beta: 0.9, nll: evaluate(0.05, 0.9) };
+    for (let alpha = 0.02; alpha <= 0.3; alpha += 0.02) {
+        for (let beta = 0.5; beta < 0.99; beta += 0.02) {
+            const nll = evaluate(alpha, beta);
+            if (nll < best.nll) best = { alpha, beta, nll };
+        }
+    }
+    for (let step = 0.01; step >= 0.0005; step /= 2) {
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const [da, db] of [[step, 0], [-step, 0], [0, step], [0, -step], [step, -step], [-step, step]]) {
+                const nll = evaluate(best.alpha + da, best.beta + db);
+                if (nll < best.nll) {
+                    best = { alpha: best.alpha + da, beta: best.beta + db, nll };
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    const { alpha, beta } = best;
+    return {
+        mu,
+        omega: variance * (1 - alpha - beta),
+        alpha,
+        beta,
+        persistence: alpha + beta,
+        variance,
+        logLikelihood: -best.nll
+    };
+}
+
+// Условная волатильность после каждой доходности; последнее значение — прогноз на следующий период
+function garchVolatility(returns, params, periodsPerYear = 252) {
+    const residuals = returns.map(r => r - params.mu);
+    const { variances } = garchVariances(residuals, params, params.variance);
+    return variances.slice(1).map(v => Math.sqrt(v * periodsPerYear));
+}
+
+function garchLongRunVolatility(params, periodsPerYear = 252) {
+    return Math.sqrt(params.variance * periodsPerYear);
+}
+
+// Порог по перцентилю распределения (NaN пропускаются) и флаги «высокой» волатильности
+function volatilityRegimes(values, percentile = 0.9, reference = values) {
+    const sorted = reference.filter(v => !isNaN(v)).sort((a, b) => a - b);
+    const threshold = sorted.length > 0 ? quantile(sorted, percentile) : NaN;
+    return { threshold, flags: values.map(v => v > threshold) };
+}
+
+export { DEFAULT_EWMA_LAMBDA, ewmaVolatility, fitGarch, garchVolatility, garchLongRunVolatility, volatilityRegimes };
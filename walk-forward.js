@@ -0,0 +1,186 @@
+// walk-forward.js (бэктест с перемещающимся началом: expanding / sliding окна)
+import { SequenceForecaster } from './gru.js';
+import { Scaler } from './scaler.js';
+import { summarize } from './metrics.js';
+import { logger } from './logger.js';
+
+class WalkForwardBacktester {
+    constructor(dataLoader, options = {}) {
+        this.dataLoader = dataLoader;
+        this.options = {
+            windowSize: 60,
+            predictionHorizon: 5,
+            mode: 'expanding',      // 'expanding' | 'sliding'
+            folds: 8,
+            initialTrainRatio: 0.4, // доля выборок в первом обучающем окне
+            trainWindow: 1260,      // длина окна для sliding (≈ 5 лет)
+            epochs: 5,
+            refit: 'retrain',       // 'retrain' | 'finetune'
+            modelConfig: {},        // архитектура, как у основной модели
+            ...options
+        };
+        this.cancelled = false;
+        this.results = null;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Границы фолдов в индексах выборок. Между train и test оставляем зазор в horizon - 1,
+    // чтобы цели последних обучающих выборок не заходили в тестовый период.
+    buildFolds(totalSamples) {
+        const { mode, folds, initialTrainRatio, trainWindow, predictionHorizon } = this.options;
+        const initialTrain = Math.floor(totalSamples * initialTrainRatio);
+        const testSize = Math.floor((totalSamples - initialTrain) / folds);
+
+        if (initialTrain < 50 || testSize < 1) {
+            throw new Error(`Not enough samples for ${folds} walk-forward folds (have ${totalSamples})`);
+        }
+
+        const result = [];
+        for (let k = 0; k < folds; k++) {
+            const testStart = initialTrain + k * testSize;
+            const testEnd = k === folds - 1 ? totalSamples : testStart + testSize;
+            const trainEnd = testStart - (predictionHorizon - 1);
+            const trainStart = mode === 'sliding' ? Math.max(0, trainEnd - trainWindow) : 0;
+            result.push({ fold: k + 1, trainStart, trainEnd, testStart, testEnd });
+        }
+        return result;
+    }
+
+    async run(callbacks = {}) {
+        const { windowSize, predictionHorizon, epochs, refit } = this.options;
+        const { matrix, columns, warmup } = this.dataLoader.getFeatureMatrix();
+        const returns = this.dataLoader.returns;
+        const dates = this.dataLoader.dateLabels;
+        // Как и prepareData: при limitTrainingToRange фолды не выходят за выбранный период
+        const [rangeFrom, rangeTo] = this.dataLoader.limitTrainingToRange
+            ? this.dataLoader.getRangeIndices()
+            : [0, this.dataLoader.data.length - 1];
+        const start = Math.max(warmup, rangeFrom);
+        const returnsEnd = Math.min(returns.length, rangeTo);
+        const totalSamples = returnsEnd - start - windowSize - predictionHorizon + 1;
+        const folds = this.buildFolds(totalSamples);
+
+        this.cancelled = false;
+        const model = new SequenceForecaster(windowSize, predictionHorizon, columns.length, this.options.modelConfig);
+        const foldResults = [];
+        const forecasts = [];
+        let scalers = null;
+
+        logger.log(`Walk-forward: ${folds.length} folds, mode=${this.options.mode}, refit=${refit}`);
+
+        try {
+            for (const fold of folds) {
+                if (this.cancelled) break;
+
+                // Для дообучения скейлеры фиксируются на первом фолде, иначе вход «поплывёт»
+                if (!scalers || refit === 'retrain') {
+                    const fitStart = start + fold.trainStart;
+                    const fitEnd = start + fold.trainEnd - 1 + windowSize + predictionHorizon;
+                    scalers = {
+                        target: new Scaler(this.dataLoader.scalerMethod).fit(returns.slice(fitStart, fitEnd)),
+                        features: columns.map((_, col) => new Scaler(this.dataLoader.scalerMethod)
+                            .fit(matrix.slice(fitStart, fitEnd).map(row => row[col])))
+                    };
+                }
+
+                const isFirst = fold.fold === 1;
+                if (refit === 'retrain' || isFirst) {
+                    model.buildModel();
+                }
+                // При дообучении показываем модели только выборки, появившиеся после прошлого фолда
+                const trainFrom = refit === 'finetune' && !isFirst ? folds[fold.fold - 2].trainEnd : fold.trainStart;
+
+                const train = this.buildTensors(matrix, returns, start, scalers, trainFrom, fold.trainEnd);
+                const test = this.buildTensors(matrix, returns, start, scalers, fold.testStart, fold.testEnd);
+
+                try {
+                    if (train.count > 0) {
+                        await model.train(train.X, train.y, epochs);
+                    }
+                    const predicted = await model.predict(test.X);
+
+                    const actualDay1 = [];
+                    const predictedDay1 = [];
+                    const actualAll = [];
+                    const predictedAll = [];
+                    predicted.forEach((row, i) => {
+                        const t = start + fold.testStart + i + windowSize;
+                        const forecast = row.map(v => scalers.target.inverseValue(v));
+                        const actual = returns.slice(t, t + predictionHorizon);
+
+                        actualDay1.push(actual[0]);
+                        predictedDay1.push(forecast[0]);
+                        actualAll.push(...actual);
+                        predictedAll.push(...forecast);
+                        forecasts.push({ fold: fold.fold, date: dates[t + 1], actual: actual[0], predicted: forecast[0], horizon: forecast });
+                    });
+
+                    const result = {
+                        ...fold,
+                        trainFrom: dates[start + trainFrom + 1],
+                        trainTo: dates[start + fold.trainEnd + windowSize + predictionHorizon - 1],
+                        testFrom: dates[start + fold.testStart + windowSize + 1],
+                        testTo: dates[start + fold.testEnd - 1 + windowSize + 1],
+                        day1: summarize(actualDay1, predictedDay1),
+                        allHorizons: summarize(actualAll, predictedAll)
+                    };
+                    foldResults.push(result);
+
+                    if (callbacks.onFoldEnd) {
+                        callbacks.onFoldEnd(result, folds.length);
+                    }
+                } finally {
+                    [train.X, train.y, test.X, test.y].forEach(tensor => tensor && tensor.dispose());
+                }
+
+                await tf.nextFrame();
+            }
+        } finally {
+            model.dispose();
+        }
+
+        this.results = {
+            options: { ...this.options },
+            folds: foldResults,
+            forecasts,
+            cancelled: this.cancelled,
+            aggregate: {
+                day1: summarize(forecasts.map(f => f.actual), forecasts.map(f => f.predicted)),
+                meanFoldRmse: foldResults.reduce((sum, f) => sum + f.day1.rmse, 0) / (foldResults.length || 1)
+            }
+        };
+
+        logger.log('Walk-forward completed:', this.results.aggregate);
+        return this.results;
+    }
+
+    buildTensors(matrix, returns, start, scalers, from, to) {
+        const { windowSize, predictionHorizon } = this.options;
+        const count = Math.max(0, to - from);
+        const width = scalers.features.length;
+        if (count === 0) {
+            return { count, X: null, y: null };
+        }
+
+        const sequences = new Array(count);
+        const targets = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const t = start + from + i;
+            sequences[i] = matrix.slice(t, t + windowSize).map(row =>
+                row.map((value, col) => scalers.features[col].transformValue(value))
+            );
+            targets[i] = scalers.target.transform(returns.slice(t + windowSize, t + windowSize + predictionHorizon));
+        }
+
+        return {
+            count,
+            X: tf.tensor3d(sequences, [count, windowSize, width]),
+            y: tf.tensor2d(targets, [count, predictionHorizon])
+        };
+    }
+}
+
+export { WalkForwardBacktester };